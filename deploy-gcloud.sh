@@ -270,7 +270,7 @@ while [ $ATTEMPT -lt $MAX_ATTEMPTS ]; do
     ATTEMPT=$((ATTEMPT + 1))
     print_info "Checking application status (attempt $ATTEMPT/$MAX_ATTEMPTS)..."
 
-    if curl -s --connect-timeout 5 "http://${EXTERNAL_IP}:${APP_PORT}" > /dev/null 2>&1; then
+    if curl -sf --connect-timeout 5 "http://${EXTERNAL_IP}:${APP_PORT}/readyz" > /dev/null 2>&1; then
         print_success "Application is running!"
         break
     fi
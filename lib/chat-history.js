@@ -0,0 +1,275 @@
+const fs = require("fs");
+const path = require("path");
+const { Logger } = require("./logger");
+
+/**
+ * Per-channel chat history.
+ *
+ * The most recent messages of every channel are kept in an in-memory ring
+ * buffer. When a directory is given, every message is also appended to a
+ * JSON-lines file per channel, so history survives restarts and older
+ * pages can be read back beyond the ring. Channels marked with
+ * keepInMemory() never touch their file.
+ *
+ * Message ids are assigned here: they start at 1 and increase per channel,
+ * which makes "load messages before id N" pagination trivial. When several
+ * nodes share a channel, `allocateId(channel, floor)` hands out ids no
+ * other node will use, never below `floor`; ids then still increase but
+ * may skip numbers.
+ *
+ * Edits, deletions and reactions are appended to the file as a new copy of
+ * the whole message; when reading back, the last copy of each id wins.
+ */
+class ChatHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || 200;
+    this.directory = options.directory || null;
+    this.logger = options.logger || new Logger();
+    this.allocateId = options.allocateId || ((channel, floor) => floor);
+    this.channels = {};
+
+    if (this.directory) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Store a message and resolve with it, id included.
+   * Writes are chained per channel so ids and file order always match.
+   */
+  add(channel, message) {
+    const state = this.getChannel(channel);
+
+    const task = state.ready.then(async () => {
+      const id = await this.allocateId(channel, state.nextId);
+      const stored = { id: id, ...message };
+
+      // A message from another node may already hold a higher id
+      this.insert(state, stored);
+      state.nextId = Math.max(state.nextId, id + 1);
+
+      await this.persist(state, stored);
+      return stored;
+    });
+
+    state.ready = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Change a stored message. `change` gets the current message and returns
+   * the fields to update, or null to leave it alone. Resolves with the new
+   * version, or null if nothing changed or the message is no longer in
+   * memory.
+   */
+  update(channel, id, change) {
+    const state = this.getChannel(channel);
+
+    const task = state.ready.then(async () => {
+      const index = state.messages.findIndex((m) => m.id === id);
+      if (index === -1) return null;
+
+      const fields = change(state.messages[index]);
+      if (!fields) return null;
+
+      const updated = { ...state.messages[index], ...fields };
+      state.messages[index] = updated;
+      await this.persist(state, updated);
+      return updated;
+    });
+
+    state.ready = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Keep a copy of a message another node stored or changed, under the id
+   * it got there. Resolves with true if the id is new to us.
+   */
+  store(channel, message) {
+    const state = this.getChannel(channel);
+
+    const task = state.ready.then(async () => {
+      const index = state.messages.findIndex((m) => m.id === message.id);
+      if (index !== -1) {
+        state.messages[index] = message;
+      } else {
+        this.insert(state, message);
+        state.nextId = Math.max(state.nextId, message.id + 1);
+      }
+
+      await this.persist(state, message);
+      return index === -1;
+    });
+
+    state.ready = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Look up a message that is still in memory
+   */
+  async find(channel, id) {
+    const state = this.getChannel(channel);
+    await state.ready;
+    return state.messages.find((m) => m.id === id) || null;
+  }
+
+  /**
+   * Get up to `count` messages older than the id `before`
+   * (or the most recent ones when `before` is omitted)
+   */
+  async getPage(channel, before, count) {
+    const state = this.getChannel(channel);
+    await state.ready;
+
+    let messages = state.messages;
+
+    // Older than the ring buffer reaches: read the whole file
+    if (
+      state.file &&
+      before !== undefined &&
+      (messages.length === 0 || before <= messages[0].id)
+    ) {
+      messages = await this.readFile(state.file);
+    }
+
+    const older =
+      before === undefined ? messages : messages.filter((m) => m.id < before);
+    const page = older.slice(-count);
+
+    // Without a file, anything that fell out of the ring is gone for good
+    const oldestId = state.file
+      ? 1
+      : state.messages.length > 0
+        ? state.messages[0].id
+        : 1;
+
+    return {
+      messages: page,
+      hasMore: page.length > 0 && page[0].id > oldestId,
+    };
+  }
+
+  /**
+   * Start a channel afresh and keep it in memory only: earlier history in
+   * its file isn't read, and nothing is written to it. For locked rooms,
+   * whose chat must go with them.
+   */
+  keepInMemory(channel) {
+    this.channels[channel] = {
+      channel: channel,
+      file: null,
+      messages: [],
+      nextId: 1,
+      ready: Promise.resolve(),
+    };
+  }
+
+  /**
+   * Drop the in-memory copy of a channel once its room is gone
+   */
+  forget(channel) {
+    const state = this.channels[channel];
+    if (!state) return;
+
+    // Without a file there are no writes to wait for
+    if (!state.file) {
+      delete this.channels[channel];
+      return;
+    }
+
+    state.ready.then(() => {
+      if (this.channels[channel] === state) {
+        delete this.channels[channel];
+      }
+    });
+  }
+
+  /**
+   * Put a new message in the ring in id order
+   */
+  insert(state, message) {
+    const position = state.messages.findIndex((m) => m.id > message.id);
+    if (position === -1) {
+      state.messages.push(message);
+    } else {
+      state.messages.splice(position, 0, message);
+    }
+    if (state.messages.length > this.limit) {
+      state.messages.shift();
+    }
+  }
+
+  async persist(state, message) {
+    if (!state.file) return;
+
+    try {
+      await fs.promises.appendFile(state.file, JSON.stringify(message) + "\n");
+    } catch (error) {
+      this.logger.error("Could not persist chat message", {
+        channel: state.channel,
+        error: error,
+      });
+    }
+  }
+
+  getChannel(channel) {
+    if (!this.channels[channel]) {
+      const state = {
+        channel: channel,
+        file: this.directory ? this.getFile(channel) : null,
+        messages: [],
+        nextId: 1,
+        ready: null,
+      };
+      state.ready = this.load(state).catch((error) => {
+        this.logger.error("Could not load chat history", {
+          channel: channel,
+          error: error,
+        });
+      });
+      this.channels[channel] = state;
+    }
+    return this.channels[channel];
+  }
+
+  async load(state) {
+    if (!state.file) return;
+
+    const messages = await this.readFile(state.file);
+    state.messages = messages.slice(-this.limit);
+    if (messages.length > 0) {
+      state.nextId = messages[messages.length - 1].id + 1;
+    }
+  }
+
+  async readFile(file) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    // A Map keeps each id where it first appeared, with its latest copy
+    const messages = new Map();
+    for (const line of contents.split("\n")) {
+      if (!line) continue;
+      try {
+        const message = JSON.parse(line);
+        messages.set(message.id, message);
+      } catch (error) {
+        // Skip a line cut short by a crash mid-write
+      }
+    }
+    return Array.from(messages.values());
+  }
+
+  getFile(channel) {
+    return path.join(this.directory, `${encodeURIComponent(channel)}.jsonl`);
+  }
+}
+
+module.exports = { ChatHistory };
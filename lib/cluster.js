@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const { Logger } = require("./logger");
+const { RedisClient } = require("./redis");
+
+/**
+ * Cross-node messaging, for running several servers behind one load
+ * balancer.
+ *
+ * Every node keeps its own copy of room membership and room settings and
+ * tells the other nodes when they change; an event for a peer connected
+ * elsewhere is sent to that peer's node, which emits it. Adapters only
+ * carry those messages between nodes:
+ *
+ *   nodeId              this node's id
+ *   start(onMessage)    start receiving; resolves once messages can flow
+ *   publish(message)    send a message to every other node
+ *   send(node, message) send a message to one node
+ *   nextMessageId(channel, floor)
+ *                       resolve with a chat message id for the channel that
+ *                       no node has used, no lower than `floor`
+ *   close()
+ *
+ * Messages are plain objects (Buffers are allowed anywhere in them) and
+ * arrive with the sender's id in `node`.
+ */
+
+/**
+ * A single node on its own: there is nobody to tell
+ */
+class MemoryAdapter {
+  constructor() {
+    this.nodeId = createNodeId();
+  }
+
+  async start() {}
+
+  publish() {}
+
+  send() {}
+
+  async nextMessageId(channel, floor) {
+    return floor;
+  }
+
+  close() {}
+}
+
+/**
+ * Nodes sharing a Redis-compatible broker over pub/sub. Every node listens
+ * on a channel for everyone and one of its own. Chat message ids come from
+ * counters in the broker.
+ */
+class RedisAdapter {
+  constructor(url, options = {}) {
+    this.nodeId = createNodeId();
+    this.url = url;
+    this.prefix = options.prefix || "voicechat";
+    this.logger = options.logger || new Logger();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  start(onMessage) {
+    const everyone = `${this.prefix}:all`;
+    const own = `${this.prefix}:node:${this.nodeId}`;
+
+    // A subscribed connection can't publish, so there are two
+    this.publisher = new RedisClient(this.url);
+    this.subscriber = new RedisClient(this.url);
+    for (const client of [this.publisher, this.subscriber]) {
+      client.on("error", (error) => {
+        this.logger.warn("Broker connection error", { error: error });
+      });
+    }
+
+    this.subscriber.on("message", (channel, payload) => {
+      let message;
+      try {
+        message = decode(payload);
+      } catch (error) {
+        this.logger.warn("Ignoring malformed message", { channel: channel });
+        return;
+      }
+      if (message.node !== this.nodeId) {
+        onMessage(message);
+      }
+    });
+
+    return new Promise((resolve) => {
+      this.subscriber.on("subscribe", (channel) => {
+        if (channel === own) resolve();
+      });
+      this.subscriber.subscribe(everyone, own);
+    });
+  }
+
+  publish(message) {
+    this.write(`${this.prefix}:all`, message);
+  }
+
+  send(node, message) {
+    this.write(`${this.prefix}:node:${node}`, message);
+  }
+
+  // One counter per channel in the broker. INCR never hands out the same
+  // value twice; a counter that is behind (new, or the broker lost it) is
+  // moved up to what this node has already seen.
+  async nextMessageId(channel, floor) {
+    const key = `${this.prefix}:chat-id:${channel}`;
+    const id = await this.publisher.command(["INCR", key]);
+    if (id >= floor) return id;
+    return this.publisher.command(["INCRBY", key, floor - id]);
+  }
+
+  close() {
+    this.publisher.close();
+    this.subscriber.close();
+  }
+
+  // Messages are fire and forget: one lost while the broker is out of
+  // reach is dropped, as it would be by Redis pub/sub itself
+  write(channel, message) {
+    this.publisher
+      .command(["PUBLISH", channel, encode({ ...message, node: this.nodeId })])
+      .catch(() => {});
+  }
+}
+
+/**
+ * Stands in for the socket of a peer connected to another node. It has
+ * the parts of a socket the room code uses, and its emits are sent to the
+ * peer's node.
+ */
+class RemotePeer {
+  constructor(adapter, nodeId, peerId) {
+    this.remote = true;
+    this.adapter = adapter;
+    this.nodeId = nodeId;
+    this.peerId = peerId;
+    this.channels = {};
+    this.away = false;
+    this.relayCapable = true;
+    this.volatile = {
+      emit: (event, data) => this.deliver(event, data, true),
+    };
+  }
+
+  emit(event, data) {
+    this.deliver(event, data, false);
+  }
+
+  deliver(event, data, volatile) {
+    this.adapter.send(this.nodeId, {
+      type: "emit",
+      peer_id: this.peerId,
+      event: event,
+      data: data,
+      volatile: volatile,
+    });
+  }
+}
+
+function createNodeId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * JSON with binary values (relayed audio) carried as base64
+ */
+function encode(message) {
+  return JSON.stringify(message, function (key, value) {
+    const original = this[key];
+    if (Buffer.isBuffer(original) || original instanceof ArrayBuffer) {
+      return { $binary: Buffer.from(original).toString("base64") };
+    }
+    return value;
+  });
+}
+
+function decode(payload) {
+  return JSON.parse(payload, (key, value) =>
+    value !== null && typeof value === "object" && "$binary" in value
+      ? Buffer.from(value.$binary, "base64")
+      : value,
+  );
+}
+
+module.exports = { MemoryAdapter, RedisAdapter, RemotePeer };
@@ -0,0 +1,84 @@
+/**
+ * Structured logging: one JSON object per line on stdout.
+ *
+ *   log.info("Joined room", { channel: "lobby", username: "ann" })
+ *   {"time":"...","level":"info","msg":"Joined room","channel":"lobby","username":"[redacted]"}
+ *
+ * Lines below the configured level are skipped. child() returns a logger
+ * that adds fields to every line, which is how socket and request ids end
+ * up on everything logged for them.
+ *
+ * What people say and who they are (chat text, usernames) is redacted
+ * unless `redact` is turned off; secrets are redacted always.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Redacted unless redaction is turned off
+const PRIVATE_FIELDS = ["message", "username"];
+// Redacted no matter what
+const SECRET_FIELDS = ["password", "token", "invite", "sessionToken"];
+
+class Logger {
+  constructor(options = {}, fields = {}) {
+    this.options = options;
+    this.level = options.level in LEVELS ? LEVELS[options.level] : LEVELS.info;
+    this.redact = options.redact !== false;
+    this.fields = fields;
+  }
+
+  /**
+   * A logger that adds `fields` to every line
+   */
+  child(fields) {
+    return new Logger(this.options, { ...this.fields, ...fields });
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= this.level;
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      msg: msg,
+      ...this.fields,
+    };
+    for (const key in fields) {
+      entry[key] = this.clean(key, fields[key]);
+    }
+    process.stdout.write(JSON.stringify(entry) + "\n");
+  }
+
+  clean(key, value) {
+    if (value === undefined || value === null) return value;
+    if (SECRET_FIELDS.includes(key)) return "[redacted]";
+    if (this.redact && PRIVATE_FIELDS.includes(key)) return "[redacted]";
+    // Errors have no enumerable fields of their own
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack };
+    }
+    return value;
+  }
+}
+
+module.exports = { Logger };
@@ -0,0 +1,159 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with
+ * labels, rendered in the text exposition format for /metrics.
+ *
+ * Gauges can be given a `collect` function instead of being set, so
+ * values that already live elsewhere (room counts, socket counts) are
+ * read at scrape time rather than kept in sync by hand.
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   */
+  render() {
+    return (
+      this.metrics
+        .map((metric) =>
+          [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines(),
+          ].join("\n"),
+        )
+        .join("\n") + "\n"
+    );
+  }
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = "counter";
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  lines() {
+    return Array.from(
+      this.values,
+      ([key, value]) => `${this.name}${key} ${value}`,
+    );
+  }
+}
+
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = "gauge";
+    this.collect = collect || null;
+    this.values = new Map();
+  }
+
+  set(labels, value) {
+    this.values.set(formatLabels(labels), value);
+  }
+
+  lines() {
+    if (this.collect) {
+      return [`${this.name} ${this.collect()}`];
+    }
+    return Array.from(
+      this.values,
+      ([key, value]) => `${this.name}${key} ${value}`,
+    );
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        labels: labels,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const lines = [];
+    this.series.forEach((series, key) => {
+      this.buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...series.labels, le: String(bound) });
+        lines.push(`${this.name}_bucket${labels} ${series.counts[index]}`);
+      });
+      const inf = formatLabels({ ...series.labels, le: "+Inf" });
+      lines.push(`${this.name}_bucket${inf} ${series.count}`);
+      lines.push(`${this.name}_sum${key} ${series.sum}`);
+      lines.push(`${this.name}_count${key} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Turn { event: "join" } into {event="join"}, escaped as the format
+ * requires. Keys are sorted so the same labels always give the same series.
+ */
+function formatLabels(labels) {
+  const keys = Object.keys(labels).sort();
+  if (keys.length === 0) return "";
+
+  const pairs = keys.map((key) => {
+    const value = String(labels[key])
+      .replace(/\\/g, "\\\\")
+      .replace(/\n/g, "\\n")
+      .replace(/"/g, '\\"');
+    return `${key}="${value}"`;
+  });
+  return `{${pairs.join(",")}}`;
+}
+
+module.exports = { Registry };
@@ -0,0 +1,44 @@
+/**
+ * Per-socket rate limiting with token buckets.
+ *
+ * Every group of events gets a bucket holding up to `burst` tokens, which
+ * refills at `perSecond` tokens per second. Each event takes one token;
+ * when the bucket is empty the event is refused. Short bursts (e.g. the
+ * ICE candidates gathered when a call starts) go through, sustained
+ * floods don't.
+ */
+class RateLimiter {
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = {};
+  }
+
+  /**
+   * Take a token for an event in `group`. Returns false if the group is
+   * over its limit.
+   */
+  take(group) {
+    const limit = this.limits[group];
+    if (!limit) return true;
+
+    const now = Date.now();
+    let bucket = this.buckets[group];
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updated: now };
+      this.buckets[group] = bucket;
+    }
+
+    bucket.tokens = Math.min(
+      limit.burst,
+      bucket.tokens + ((now - bucket.updated) / 1000) * limit.perSecond,
+    );
+    bucket.updated = now;
+
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens -= 1;
+    return true;
+  }
+}
+
+module.exports = { RateLimiter };
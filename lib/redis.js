@@ -0,0 +1,268 @@
+const net = require("net");
+const tls = require("tls");
+const { EventEmitter } = require("events");
+
+// Commands held while the connection is down; beyond this they fail
+const MAX_QUEUED = 1000;
+// How long a command may wait for its reply (ms), queued time included
+const COMMAND_TIMEOUT = 2000;
+// Reconnect backoff (ms)
+const RETRY_MIN = 100;
+const RETRY_MAX = 5000;
+
+/**
+ * Minimal client for Redis-compatible servers (Redis, Valkey, KeyDB, ...),
+ * just enough for the cluster adapter: commands with replies, and
+ * pub/sub.
+ *
+ * Speaks RESP2 over a single connection and reconnects on its own,
+ * authenticating and subscribing again. Commands sent while it is
+ * reconnecting are queued and written once the connection is back; one
+ * not answered within `timeout` ms fails, so callers aren't held up for
+ * as long as the server is out of reach.
+ *
+ * Events: "message" (channel, payload) for pub/sub messages,
+ * "subscribe" (channel) once a subscription is confirmed, and "error".
+ */
+class RedisClient extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
+    this.url = new URL(url);
+    this.timeout = options.timeout || COMMAND_TIMEOUT;
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.buffer = Buffer.alloc(0);
+    // Callbacks for replies not yet received, in the order sent
+    this.pending = [];
+    this.queue = [];
+    this.subscriptions = new Set();
+    this.retryDelay = RETRY_MIN;
+
+    this.connect();
+  }
+
+  /**
+   * Send a command; resolves with its reply, or rejects with the error
+   * the server answered or when it times out
+   */
+  command(args) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        return reject(new Error("Connection closed"));
+      }
+
+      // A reply arriving after the timeout is ignored
+      const timer = setTimeout(() => {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+        }
+        reject(new Error("Command timed out"));
+      }, this.timeout);
+      const entry = {
+        args,
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+
+      if (!this.connected) {
+        if (this.queue.length >= MAX_QUEUED) {
+          return entry.reject(new Error("Not connected"));
+        }
+        this.queue.push(entry);
+        return;
+      }
+      this.write(args, entry);
+    });
+  }
+
+  /**
+   * Subscribe to channels. A subscribed connection can't run other
+   * commands, so use a separate client for those.
+   */
+  subscribe(...channels) {
+    channels.forEach((channel) => this.subscriptions.add(channel));
+    if (this.connected) {
+      this.write(["SUBSCRIBE", ...channels], null);
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.queue.forEach((entry) => entry.reject(new Error("Connection closed")));
+    this.queue = [];
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+
+  connect() {
+    const secure = this.url.protocol === "rediss:";
+    const options = {
+      host: this.url.hostname || "localhost",
+      port: Number(this.url.port) || 6379,
+    };
+
+    this.socket = secure ? tls.connect(options) : net.connect(options);
+    this.socket.setNoDelay(true);
+    this.socket.on(secure ? "secureConnect" : "connect", () =>
+      this.onConnect(),
+    );
+    this.socket.on("data", (data) => this.onData(data));
+    this.socket.on("error", (error) => this.emit("error", error));
+    this.socket.on("close", () => this.onClose());
+  }
+
+  onConnect() {
+    this.connected = true;
+    this.retryDelay = RETRY_MIN;
+    this.buffer = Buffer.alloc(0);
+
+    // Written before anything queued, so they take effect first
+    if (this.url.password) {
+      const credentials = [decodeURIComponent(this.url.password)];
+      if (this.url.username) {
+        credentials.unshift(decodeURIComponent(this.url.username));
+      }
+      this.write(["AUTH", ...credentials], {
+        resolve: () => {},
+        reject: (error) => this.emit("error", error),
+      });
+    }
+    if (this.subscriptions.size > 0) {
+      this.write(["SUBSCRIBE", ...this.subscriptions], null);
+    }
+
+    const queue = this.queue;
+    this.queue = [];
+    queue.forEach((entry) => this.write(entry.args, entry));
+  }
+
+  onClose() {
+    this.connected = false;
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach((entry) => entry.reject(new Error("Connection lost")));
+
+    if (this.closed) return;
+
+    setTimeout(() => this.connect(), this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, RETRY_MAX);
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let offset = 0;
+    try {
+      let reply;
+      while ((reply = parseReply(this.buffer, offset))) {
+        offset = reply.offset;
+        this.onReply(reply.value);
+      }
+    } catch (error) {
+      this.emit("error", error);
+      this.socket.destroy();
+      return;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  onReply(value) {
+    // Pub/sub pushes aren't answers to a command
+    if (Array.isArray(value) && value[0] === "message") {
+      this.emit("message", value[1], value[2]);
+      return;
+    }
+    if (Array.isArray(value) && value[0] === "subscribe") {
+      this.emit("subscribe", value[1]);
+      return;
+    }
+
+    const entry = this.pending.shift();
+    if (!entry) return;
+    if (value instanceof Error) {
+      entry.reject(value);
+    } else {
+      entry.resolve(value);
+    }
+  }
+
+  // `entry` is null for commands answered with pushes (SUBSCRIBE)
+  write(args, entry) {
+    if (entry) {
+      this.pending.push(entry);
+    }
+    this.socket.write(encodeCommand(args));
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * Parse one reply starting at `offset`. Returns { value, offset } with the
+ * offset just past it, or null if the reply isn't complete yet.
+ * Error replies are returned as Error values.
+ */
+function parseReply(buffer, offset) {
+  const end = buffer.indexOf("\r\n", offset);
+  if (end === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, end);
+  const next = end + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let index = 0; index < count; index++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected reply type "${type}"`);
+  }
+}
+
+module.exports = { RedisClient };
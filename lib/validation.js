@@ -0,0 +1,284 @@
+/**
+ * Payload schemas for every Socket.IO event the server accepts.
+ *
+ * A schema is a rule: a function that gets a value and returns a problem
+ * description, or null when the value is fine. Rules are built with the
+ * small helpers below and composed into one schema per event, so each
+ * handler can rely on the shape and size of what it receives.
+ *
+ * Objects may carry extra keys (they are ignored); the overall payload
+ * size is capped by the Socket.IO `maxHttpBufferSize` setting.
+ */
+
+// Size limits for user-supplied values
+const LIMITS = {
+  channel: 64,
+  username: 32,
+  clientId: 64,
+  password: 128,
+  invite: 64,
+  peerId: 64,
+  message: 2000,
+  messageId: 64, // ids of private messages, chosen by the sender
+  recipients: 100,
+  seenIds: 100,
+  emoji: 16,
+  sdp: 16384,
+  candidate: 1024,
+  audioFrame: 4096, // bytes of one relayed Opus frame
+};
+
+/**
+ * A handler rejecting an event. The code and message are sent back to
+ * the client in the event's acknowledgement.
+ */
+class EventError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Channel names and peer ids are used as object keys, so names that
+// exist on every object ("constructor", "__proto__", ...) are refused
+function isSafeKey(value) {
+  return !(value in Object.prototype);
+}
+
+/**
+ * Wrap a rule so that `optional` values may be missing and `nullable`
+ * ones may be null
+ */
+function rule(check, options = {}) {
+  return (value) => {
+    if (value === undefined && options.optional) return null;
+    if (value === null && options.nullable) return null;
+    return check(value);
+  };
+}
+
+function string(options = {}) {
+  const min = options.min === undefined ? 1 : options.min;
+
+  return rule((value) => {
+    if (typeof value !== "string") return "must be a string";
+    if (value.length < min) return "must not be empty";
+    if (options.max && value.length > options.max) {
+      return `must be at most ${options.max} characters`;
+    }
+    if (options.pattern && !options.pattern.test(value)) {
+      return "contains characters that aren't allowed";
+    }
+    if (options.key && !isSafeKey(value)) return "is reserved";
+    return null;
+  }, options);
+}
+
+function integer(options = {}) {
+  return rule((value) => {
+    if (!Number.isInteger(value)) return "must be an integer";
+    if (options.min !== undefined && value < options.min) {
+      return `must be at least ${options.min}`;
+    }
+    return null;
+  }, options);
+}
+
+function number(options = {}) {
+  return rule((value) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return "must be a number";
+    }
+    if (options.min !== undefined && value < options.min) {
+      return `must be at least ${options.min}`;
+    }
+    if (options.max !== undefined && value > options.max) {
+      return `must be at most ${options.max}`;
+    }
+    return null;
+  }, options);
+}
+
+function boolean(options = {}) {
+  return rule(
+    (value) => (typeof value === "boolean" ? null : "must be true or false"),
+    options,
+  );
+}
+
+function oneOf(values, options = {}) {
+  return rule(
+    (value) =>
+      values.includes(value) ? null : `must be one of ${values.join(", ")}`,
+    options,
+  );
+}
+
+function binary(options = {}) {
+  return rule((value) => {
+    if (!Buffer.isBuffer(value) && !(value instanceof ArrayBuffer)) {
+      return "must be binary data";
+    }
+    if (value.byteLength > options.max) {
+      return `must be at most ${options.max} bytes`;
+    }
+    return null;
+  }, options);
+}
+
+function array(item, options = {}) {
+  return rule((value) => {
+    if (!Array.isArray(value)) return "must be a list";
+    if (options.max && value.length > options.max) {
+      return `must have at most ${options.max} entries`;
+    }
+    for (let index = 0; index < value.length; index++) {
+      const problem = item(value[index]);
+      if (problem) return `[${index}] ${problem}`;
+    }
+    return null;
+  }, options);
+}
+
+function object(shape, options = {}) {
+  return rule((value) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return "must be an object";
+    }
+    for (const key in shape) {
+      const problem = shape[key](value[key]);
+      if (problem) return `${key} ${problem}`;
+    }
+    return null;
+  }, options);
+}
+
+// Printable text only: no control characters in names
+const PRINTABLE = /^[^\u0000-\u001f\u007f]+$/;
+
+const channel = string({
+  max: LIMITS.channel,
+  pattern: PRINTABLE,
+  key: true,
+});
+const peerId = string({
+  max: LIMITS.peerId,
+  pattern: /^[\w-]+$/,
+  key: true,
+});
+const messageId = integer({ min: 1 });
+const messageText = string({ max: LIMITS.message, pattern: /\S/ });
+const status = (field) => object({ channel, [field]: boolean() });
+const moderation = object({ channel, peer_id: peerId });
+
+const schemas = {
+  setUsername: string({
+    max: LIMITS.username,
+    pattern: PRINTABLE,
+    optional: true,
+  }),
+  join: object({
+    channel,
+    userdata: object(
+      {
+        username: string({
+          max: LIMITS.username,
+          pattern: PRINTABLE,
+          optional: true,
+        }),
+        clientId: string({ max: LIMITS.clientId, optional: true }),
+      },
+      { optional: true },
+    ),
+    password: string({
+      max: LIMITS.password,
+      min: 0,
+      optional: true,
+      nullable: true,
+    }),
+    invite: string({
+      max: LIMITS.invite,
+      min: 0,
+      optional: true,
+      nullable: true,
+    }),
+    inviteOnly: boolean({ optional: true }),
+    mode: oneOf(["auto", "mesh", "relay"], { optional: true }),
+    relay: boolean({ optional: true }),
+  }),
+  part: channel,
+
+  chatMessage: object({
+    channel,
+    message: messageText,
+    replyTo: integer({ min: 1, optional: true }),
+    recipients: array(peerId, { max: LIMITS.recipients, optional: true }),
+    id: string({ max: LIMITS.messageId, optional: true }),
+  }),
+  editMessage: object({ channel, id: messageId, message: messageText }),
+  deleteMessage: object({ channel, id: messageId }),
+  reactMessage: object({
+    channel,
+    id: messageId,
+    emoji: string({ max: LIMITS.emoji }),
+  }),
+  loadChatHistory: object({ channel, before: messageId }),
+
+  kickPeer: moderation,
+  banPeer: moderation,
+  forceMute: moderation,
+  transferOwnership: moderation,
+
+  relayICECandidate: object({
+    peer_id: peerId,
+    ice_candidate: object({
+      candidate: string({ max: LIMITS.candidate, min: 0 }),
+      sdpMLineIndex: integer({ min: 0, optional: true, nullable: true }),
+    }),
+  }),
+  relaySessionDescription: object({
+    peer_id: peerId,
+    session_description: object({
+      type: oneOf(["offer", "answer"]),
+      sdp: string({ max: LIMITS.sdp }),
+    }),
+  }),
+  relayAudio: object({
+    channel,
+    timestamp: number(),
+    data: binary({ max: LIMITS.audioFrame }),
+  }),
+
+  muteStatus: status("isMuted"),
+  speakingStatus: status("isSpeaking"),
+  recordingStatus: status("isRecording"),
+  typingStatus: status("isTyping"),
+  messagesSeen: object({
+    channel,
+    ids: array(messageId, { max: LIMITS.seenIds }),
+  }),
+
+  // Averages over the client's last reporting interval; a value is null
+  // when the client had nothing to measure it from
+  callQualityReport: object({
+    quality: oneOf(["low", "medium", "high"]),
+    samples: integer({ min: 1 }),
+    loss: number({ min: 0, max: 100, nullable: true }), // percent
+    rtt: number({ min: 0, max: 60000, nullable: true }), // ms
+    bitrate: number({ min: 0, max: 10000000, nullable: true }), // bits/s
+  }),
+};
+
+/**
+ * Check an event's payload against its schema.
+ * Returns a description of the first problem found, or null.
+ */
+function validate(event, payload) {
+  const schema = schemas[event];
+  if (!schema) return "unknown event";
+
+  const problem = schema(payload);
+  return problem ? `${event} payload: ${problem}` : null;
+}
+
+module.exports = { LIMITS, EventError, validate };
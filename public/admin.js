@@ -0,0 +1,291 @@
+/**
+ * Admin dashboard for the Voice & Text Chat server.
+ * Shows live rooms pushed over the /admin Socket.IO namespace, and closes
+ * rooms or disconnects users through the admin REST API.
+ */
+
+// State
+let adminToken = sessionStorage.getItem("adminToken");
+let adminSocket = null;
+
+// DOM Elements
+const elements = {};
+
+/**
+ * Initialize the dashboard
+ */
+function init() {
+  elements.loginScreen = document.getElementById("login-screen");
+  elements.dashboardScreen = document.getElementById("dashboard-screen");
+  elements.tokenInput = document.getElementById("token-input");
+  elements.loginError = document.getElementById("login-error");
+  elements.loginBtn = document.getElementById("login-btn");
+  elements.logoutBtn = document.getElementById("logout-btn");
+  elements.status = document.getElementById("admin-status");
+  elements.summary = document.getElementById("admin-summary");
+  elements.rooms = document.getElementById("rooms");
+
+  elements.loginBtn.addEventListener("click", login);
+  elements.tokenInput.addEventListener("keypress", (e) => {
+    if (e.key === "Enter") login();
+  });
+  elements.logoutBtn.addEventListener("click", logout);
+
+  // Room and user actions are buttons rendered with the room list
+  elements.rooms.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+
+    if (button.dataset.action === "close-room") {
+      closeRoom(button.dataset.channel);
+    } else if (button.dataset.action === "disconnect-peer") {
+      disconnectPeer(button.dataset.peerId, button.dataset.username);
+    }
+  });
+
+  if (adminToken) {
+    connect();
+  }
+}
+
+/**
+ * Sign in with the token typed on the sign-in screen
+ */
+function login() {
+  const token = elements.tokenInput.value.trim();
+  if (!token) return;
+
+  adminToken = token;
+  sessionStorage.setItem("adminToken", token);
+  elements.loginError.classList.add("hidden");
+  connect();
+}
+
+/**
+ * Forget the token and go back to the sign-in screen
+ */
+function logout() {
+  if (adminSocket) {
+    adminSocket.disconnect();
+    adminSocket = null;
+  }
+  adminToken = null;
+  sessionStorage.removeItem("adminToken");
+
+  elements.tokenInput.value = "";
+  elements.dashboardScreen.classList.add("hidden");
+  elements.loginScreen.classList.remove("hidden");
+}
+
+/**
+ * Connect to the admin namespace; the server sends the room list on
+ * connect and again whenever it changes
+ */
+function connect() {
+  elements.loginBtn.disabled = true;
+
+  adminSocket = io("/admin", { auth: { token: adminToken } });
+
+  adminSocket.on("connect", () => {
+    elements.loginBtn.disabled = false;
+    elements.loginScreen.classList.add("hidden");
+    elements.dashboardScreen.classList.remove("hidden");
+    updateStatus("connected", "Live");
+  });
+
+  adminSocket.on("connect_error", (error) => {
+    elements.loginBtn.disabled = false;
+
+    if (error.message === "unauthorized") {
+      logout();
+      showLoginError(
+        "Wrong admin token, or the server has no ADMIN_TOKEN set.",
+      );
+    } else {
+      updateStatus("error", "Connection error");
+    }
+  });
+
+  adminSocket.on("disconnect", () => {
+    updateStatus("connecting", "Reconnecting...");
+  });
+
+  adminSocket.on("rooms", renderRooms);
+}
+
+/**
+ * Render the list of live rooms and who is in them
+ */
+function renderRooms(rooms) {
+  const people = rooms.reduce(
+    (total, room) => total + room.participants.length,
+    0,
+  );
+  elements.summary.textContent = `${rooms.length} ${rooms.length === 1 ? "room" : "rooms"}, ${people} ${people === 1 ? "person" : "people"}`;
+
+  if (rooms.length === 0) {
+    elements.rooms.innerHTML = '<p class="admin-empty">No rooms right now.</p>';
+    return;
+  }
+
+  elements.rooms.innerHTML = rooms.map(renderRoom).join("");
+}
+
+/**
+ * Build the card for one room
+ */
+function renderRoom(room) {
+  const badges = [
+    room.relaying ? '<span class="mode-badge">Server relay</span>' : "",
+    room.locked ? '<span class="mode-badge">🔒 Password</span>' : "",
+    room.inviteOnly ? '<span class="mode-badge">Invite only</span>' : "",
+    room.recording.length > 0
+      ? '<span class="mode-badge recording-badge">● REC</span>'
+      : "",
+  ].join("");
+
+  const participants = room.participants
+    .map((peer) => {
+      const status = [
+        peer.away ? '<span class="admin-away">Away</span>' : "Connected",
+        room.recording.includes(peer.peer_id) ? "Recording" : "",
+      ]
+        .filter(Boolean)
+        .join(", ");
+
+      return `
+        <tr>
+          <td>${peer.peer_id === room.owner ? "👑 " : ""}${escapeHtml(peer.username)}</td>
+          <td><code>${escapeHtml(peer.peer_id)}</code></td>
+          <td>${formatTime(peer.joinedAt)}</td>
+          <td>${status}</td>
+          <td>
+            <button
+              class="danger-btn"
+              data-action="disconnect-peer"
+              data-peer-id="${escapeHtml(peer.peer_id)}"
+              data-username="${escapeHtml(peer.username)}"
+            >Disconnect</button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="admin-room">
+      <div class="admin-room-header">
+        <h2>${escapeHtml(room.channel)}</h2>
+        ${badges}
+        <span class="admin-room-meta">
+          ${room.participants.length} in the room · ${room.messageCount} messages · open since ${formatTime(room.createdAt)}
+        </span>
+        <button
+          class="danger-btn"
+          data-action="close-room"
+          data-channel="${escapeHtml(room.channel)}"
+        >Close room</button>
+      </div>
+      <table class="admin-participants">
+        <thead>
+          <tr><th>Name</th><th>Peer id</th><th>Joined</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>${participants}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Remove everyone from a room
+ */
+async function closeRoom(channel) {
+  if (!confirm(`Close "${channel}" and remove everyone in it?`)) return;
+
+  try {
+    await adminRequest(
+      "DELETE",
+      `/admin/api/rooms/${encodeURIComponent(channel)}`,
+    );
+  } catch (error) {
+    alert(`Could not close the room: ${error.message}`);
+  }
+}
+
+/**
+ * Disconnect a user from every room they are in
+ */
+async function disconnectPeer(peerId, username) {
+  if (!confirm(`Disconnect ${username}?`)) return;
+
+  try {
+    await adminRequest(
+      "DELETE",
+      `/admin/api/peers/${encodeURIComponent(peerId)}`,
+    );
+  } catch (error) {
+    alert(`Could not disconnect ${username}: ${error.message}`);
+  }
+}
+
+/**
+ * Call the admin REST API with the token; errors come back as
+ * { ok: false, code, message }
+ */
+async function adminRequest(method, path) {
+  const response = await fetch(path, {
+    method: method,
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+  const body = await response.json();
+  if (!body.ok) {
+    throw new Error(body.message);
+  }
+  return body;
+}
+
+/**
+ * Update the connection status badge
+ */
+function updateStatus(state, text) {
+  elements.status.className = `status ${state}`;
+  elements.status.textContent = text;
+}
+
+/**
+ * Show a problem on the sign-in screen
+ */
+function showLoginError(message) {
+  elements.loginError.textContent = message;
+  elements.loginError.classList.remove("hidden");
+}
+
+/**
+ * Format a timestamp as a time of day
+ */
+function formatTime(timestamp) {
+  if (!timestamp) return "";
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Escape text for HTML, including quotes since values end up in attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Initialize when DOM is ready
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", init);
+} else {
+  init();
+}
@@ -33,28 +33,164 @@ const CONFIG = {
     },
   },
 
-  // ICE servers for NAT traversal
+  // Fallback ICE servers, used if /ice-servers cannot be fetched
   iceServers: [
     { urls: "stun:stun.l.google.com:19302" },
     { urls: "stun:stun1.l.google.com:19302" },
     { urls: "stun:stun2.l.google.com:19302" },
   ],
+  // Give up on /ice-servers after this long and use the fallback (ms)
+  iceServersTimeout: 3000,
 
   // Voice Activity Detection threshold (0-1)
   vadThreshold: 0.01,
   vadSmoothingFrames: 5,
+
+  // How often to poll RTCPeerConnection.getStats() (ms)
+  statsInterval: 2000,
+  // How often averaged call quality is reported to the server's metrics (ms)
+  qualityReportInterval: 60000,
+
+  // Adaptive bitrate: moves each peer's send bitrate between the low preset
+  // and the selected preset based on the measured loss and RTT
+  adaptiveBitrate: {
+    // Step down after this many consecutive polls above the high thresholds
+    lossHigh: 5, // percent
+    rttHigh: 400, // ms
+    degradeSamples: 2,
+    // Step up only after this many consecutive polls below the low thresholds
+    lossLow: 1, // percent
+    rttLow: 250, // ms
+    recoverSamples: 5,
+    stepDown: 0.7,
+    stepUp: 1.2,
+  },
+
+  // Emoji offered as chat reactions (the server accepts the same set)
+  reactions: ["👍", "❤️", "😂", "😮", "😢", "🎉"],
+
+  // File sharing over data channels
+  files: {
+    chunkSize: 4096, // bytes per data channel message
+    bufferedAmountLowThreshold: 16384, // resume sending below this (bytes)
+    maxBufferedAmount: 65536, // pause sending above this (bytes)
+    maxSize: 20 * 1024 * 1024, // largest file accepted (bytes)
+    bitrateShare: 0.5, // file sends are capped at this share of the audio bitrate
+  },
+
+  // Typing indicator: "stopped typing" is sent after this much idle time,
+  // and a peer's indicator is dropped if nothing is heard for the expiry
+  typing: {
+    idleTimeout: 3000, // ms
+    expiry: 6000, // ms
+  },
+
+  // Read receipts: how much of a message must be on screen to count as
+  // seen, and how long to gather receipts before sending them
+  readReceipts: {
+    visibleRatio: 0.6,
+    flushDelay: 1000, // ms
+  },
+
+  // Alerts while the tab is in the background; each type is opt-in and
+  // these are the defaults until the user changes them
+  notifications: {
+    messages: false,
+    mentions: true,
+    presence: false,
+    presenceSounds: false,
+  },
+
+  // Server-relayed audio, used instead of the mesh in large rooms
+  relay: {
+    sampleRate: 48000,
+    frameSize: 960, // samples handed from the worklet to the encoder (20 ms)
+    frameDuration: 60000, // Opus frame length in microseconds
+    jitterBuffer: 0.08, // seconds of audio queued before playback starts
+    maxLatency: 0.4, // resync playback if it drifts further behind (seconds)
+  },
 };
 
 // State
 let signalingSocket = null;
+let sessionToken = null;
+let localPeerId = null;
 let localStream = null;
+let processedStream = null;
 let peers = {};
+let peerNegotiation = {};
+let peerChatChannels = {};
+let peerFileChannels = {};
+let outgoingFiles = {};
+let incomingFiles = {};
+let nextFileSendAt = 0;
+let iceServers = CONFIG.iceServers;
+let iceRefreshTimer = null;
 let peerAudioElements = {};
+let peerUsernames = {};
+let peerStats = {};
+let statsTimer = null;
+let qualitySamples = {};
+let lastQualityReport = 0;
+let peerBitrates = {};
 let currentChannel = null;
 let currentUsername = null;
+let roomPassword = null;
+let roomInvite = null;
+let inviteToken = null;
+let roomOwner = null;
+let clientId = null;
 let selectedQuality = "medium";
+let adaptiveBitrate = true;
+let qualityChangePending = false;
+let inputDevice = "";
+let outputDevice = "";
+let activeOutputDevice = "";
+let micSwitchPending = false;
+let roomModePreference = "auto";
+let roomMode = "mesh";
+let relayContext = null;
+let relayWorkletReady = null;
+let relayUplink = null;
+let relayPlayback = {};
+let relayTimestamp = 0;
+let privateChat = false;
+let seenPrivateMessages = new Set();
+let recordingContext = null;
+let recordingDestination = null;
+let recordingSources = {};
+let mediaRecorder = null;
+let recordingChunks = [];
+let recordingStartedAt = 0;
+let peersRecording = new Set();
+let chatMessageCache = new Map();
+let isTyping = false;
+let typingTimer = null;
+let typingPeers = {};
+let seenObserver = null;
+let visibleMessages = new Set();
+let sentReceipts = new Set();
+let pendingReceipts = [];
+let receiptTimer = null;
+let messageSeenBy = new Map();
+let notificationSettings = { ...CONFIG.notifications };
+let unreadCount = 0;
+let baseTitle = document.title;
+let composeContext = null;
+let oldestMessageId = null;
+let newestMessageId = null;
+let historyLoaded = false;
+let hasOlderMessages = false;
+let loadingOlderMessages = false;
 let isMuted = false;
+let pushToTalk = false;
+let pttKey = "Space";
+let pttHeld = false;
+let capturingPttKey = false;
 let audioContext = null;
+let micSource = null;
+let inputGain = null;
+let inputVolume = 1;
 let vadAnalyser = null;
 let vadDataArray = null;
 let isSpeaking = false;
@@ -72,22 +208,54 @@ function init() {
   elements.chatScreen = document.getElementById("chat-screen");
   elements.usernameInput = document.getElementById("username-input");
   elements.roomInput = document.getElementById("room-input");
+  elements.passwordInput = document.getElementById("password-input");
+  elements.inviteOnlyInput = document.getElementById("invite-only-input");
+  elements.joinError = document.getElementById("join-error");
   elements.joinBtn = document.getElementById("join-btn");
   elements.leaveBtn = document.getElementById("leave-btn");
+  elements.inviteBtn = document.getElementById("invite-btn");
+  elements.statsBtn = document.getElementById("stats-btn");
+  elements.recordBtn = document.getElementById("record-btn");
+  elements.notificationsBtn = document.getElementById("notifications-btn");
+  elements.notificationsPanel = document.getElementById("notifications-panel");
+  elements.notifyOptions = document.querySelectorAll("[data-notify]");
+  elements.recordingIndicator = document.getElementById("recording-indicator");
+  elements.statsPanel = document.getElementById("stats-panel");
+  elements.statsContent = document.getElementById("stats-content");
   elements.roomName = document.getElementById("room-name");
   elements.connectionStatus = document.getElementById("connection-status");
+  elements.roomModeBadge = document.getElementById("room-mode-badge");
+  elements.roomModeInput = document.getElementById("room-mode-input");
   elements.localUsername = document.getElementById("local-username");
   elements.localSpeaking = document.getElementById("local-speaking");
+  elements.localOwnerBadge = document.getElementById("local-owner-badge");
   elements.muteBtn = document.getElementById("mute-btn");
+  elements.pttBtn = document.getElementById("ptt-btn");
+  elements.pttKeyBtn = document.getElementById("ptt-key-btn");
+  elements.pttIndicator = document.getElementById("ptt-indicator");
   elements.micOnIcon = document.getElementById("mic-on-icon");
   elements.micOffIcon = document.getElementById("mic-off-icon");
   elements.inputVolume = document.getElementById("input-volume");
   elements.peersList = document.getElementById("peers-list");
   elements.chatMessages = document.getElementById("chat-messages");
+  elements.typingIndicator = document.getElementById("typing-indicator");
   elements.chatInput = document.getElementById("chat-input");
   elements.sendBtn = document.getElementById("send-btn");
+  elements.composeContext = document.getElementById("compose-context");
+  elements.composeContextText = document.getElementById("compose-context-text");
+  elements.composeContextCancel = document.getElementById(
+    "compose-context-cancel",
+  );
+  elements.privateChatBtn = document.getElementById("private-chat-btn");
+  elements.attachBtn = document.getElementById("attach-btn");
+  elements.fileInput = document.getElementById("file-input");
   elements.audioContainer = document.getElementById("audio-container");
   elements.qualityBtns = document.querySelectorAll(".quality-btn");
+  elements.callQualityBtns = document.querySelectorAll(".call-quality-btn");
+  elements.adaptiveBitrate = document.getElementById("adaptive-bitrate");
+  elements.inputDeviceSelect = document.getElementById("input-device-select");
+  elements.outputDeviceSelect = document.getElementById("output-device-select");
+  elements.outputDeviceOption = document.getElementById("output-device-option");
 
   // Set up event listeners
   setupEventListeners();
@@ -103,13 +271,29 @@ function setupEventListeners() {
   // Quality selection
   elements.qualityBtns.forEach((btn) => {
     btn.addEventListener("click", () => {
-      elements.qualityBtns.forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
       selectedQuality = btn.dataset.quality;
       localStorage.setItem("audioQuality", selectedQuality);
+      updateQualityButtons();
     });
   });
 
+  // In-call quality selection
+  elements.callQualityBtns.forEach((btn) => {
+    btn.addEventListener("click", () => changeCallQuality(btn.dataset.quality));
+  });
+
+  // Audio routing for newly created rooms
+  elements.roomModeInput.addEventListener("change", () => {
+    roomModePreference = elements.roomModeInput.value;
+    localStorage.setItem("roomMode", roomModePreference);
+  });
+
+  // Adaptive bitrate toggle
+  elements.adaptiveBitrate.addEventListener("change", () => {
+    adaptiveBitrate = elements.adaptiveBitrate.checked;
+    localStorage.setItem("adaptiveBitrate", adaptiveBitrate);
+  });
+
   // Join button
   elements.joinBtn.addEventListener("click", joinRoom);
 
@@ -120,25 +304,89 @@ function setupEventListeners() {
   elements.roomInput.addEventListener("keydown", (e) => {
     if (e.key === "Enter") joinRoom();
   });
+  elements.passwordInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") joinRoom();
+  });
 
   // Leave button
   elements.leaveBtn.addEventListener("click", leaveRoom);
 
+  // Invite link
+  elements.inviteBtn.addEventListener("click", copyInviteLink);
+
+  // Stats panel toggle
+  elements.statsBtn.addEventListener("click", toggleStatsPanel);
+  elements.notificationsBtn.addEventListener("click", toggleNotificationsPanel);
+  elements.notifyOptions.forEach((input) => {
+    input.addEventListener("change", () =>
+      setNotificationSetting(input.dataset.notify, input.checked),
+    );
+  });
+  elements.recordBtn.addEventListener("click", toggleRecording);
+
   // Mute button
   elements.muteBtn.addEventListener("click", toggleMute);
 
+  // Push-to-talk
+  elements.pttBtn.addEventListener("click", () => {
+    setPushToTalk(!pushToTalk);
+    // Don't let a focused button swallow the Space key
+    elements.pttBtn.blur();
+  });
+  elements.pttKeyBtn.addEventListener("click", () => {
+    capturingPttKey = true;
+    updatePushToTalkUI();
+  });
+  elements.privateChatBtn.addEventListener("click", () => {
+    setPrivateChat(!privateChat);
+  });
+
+  // File sharing
+  elements.attachBtn.addEventListener("click", () => {
+    elements.fileInput.click();
+  });
+  elements.fileInput.addEventListener("change", () => {
+    Array.from(elements.fileInput.files).forEach(sendFile);
+    elements.fileInput.value = "";
+  });
+  window.addEventListener("keydown", handlePushToTalkKeyDown);
+  window.addEventListener("keyup", handlePushToTalkKeyUp);
+  window.addEventListener("blur", releasePushToTalk);
+
   // Volume control
+  // Leave right away when the page goes, instead of the server holding
+  // our session open for a reconnect that will never come
+  window.addEventListener("pagehide", () => {
+    if (signalingSocket) {
+      signalingSocket.disconnect();
+    }
+  });
+
   elements.inputVolume.addEventListener("input", (e) => {
     setInputVolume(e.target.value / 100);
   });
 
+  // Device selection
+  elements.inputDeviceSelect.addEventListener("change", (e) => {
+    changeInputDevice(e.target.value);
+  });
+  elements.outputDeviceSelect.addEventListener("change", (e) => {
+    changeOutputDevice(e.target.value);
+  });
+  if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener("devicechange", handleDeviceChange);
+  }
+
   // Chat input
   elements.chatInput.addEventListener("keydown", (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       sendChatMessage();
+    } else if (e.key === "Escape" && composeContext) {
+      cancelComposeContext();
     }
   });
+  elements.composeContextCancel.addEventListener("click", cancelComposeContext);
 
   // Send button
   elements.sendBtn.addEventListener("click", sendChatMessage);
@@ -148,21 +396,76 @@ function setupEventListeners() {
     elements.chatInput.style.height = "auto";
     elements.chatInput.style.height =
       Math.min(elements.chatInput.scrollHeight, 100) + "px";
+    handleChatInputActivity();
   });
+
+  // Messages on screen only count as read while the tab has focus
+  window.addEventListener("focus", sendVisibleReceipts);
+  document.addEventListener("visibilitychange", sendVisibleReceipts);
+  window.addEventListener("focus", clearUnread);
+  document.addEventListener("visibilitychange", clearUnread);
 }
 
 /**
  * Load saved preferences from localStorage
  */
 function loadPreferences() {
+  // Stable identity for this browser, used by room owners to ban
+  clientId = localStorage.getItem("clientId");
+  if (!clientId) {
+    clientId = window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : Math.random().toString(36).slice(2) + Date.now().toString(36);
+    localStorage.setItem("clientId", clientId);
+  }
+
   const savedQuality = localStorage.getItem("audioQuality");
   if (savedQuality && CONFIG.quality[savedQuality]) {
     selectedQuality = savedQuality;
-    elements.qualityBtns.forEach((btn) => {
-      btn.classList.toggle("active", btn.dataset.quality === savedQuality);
-    });
+    updateQualityButtons();
+  }
+
+  const savedAdaptive = localStorage.getItem("adaptiveBitrate");
+  if (savedAdaptive !== null) {
+    adaptiveBitrate = savedAdaptive === "true";
+    elements.adaptiveBitrate.checked = adaptiveBitrate;
+  }
+
+  const savedRoomMode = localStorage.getItem("roomMode");
+  if (savedRoomMode) {
+    roomModePreference = savedRoomMode;
+    elements.roomModeInput.value = savedRoomMode;
   }
 
+  inputDevice = localStorage.getItem("inputDevice") || "";
+  outputDevice = localStorage.getItem("outputDevice") || "";
+  activeOutputDevice = outputDevice;
+  elements.outputDeviceOption.classList.toggle(
+    "hidden",
+    !("setSinkId" in HTMLMediaElement.prototype),
+  );
+
+  const savedVolume = parseFloat(localStorage.getItem("inputVolume"));
+  if (!isNaN(savedVolume)) {
+    inputVolume = savedVolume;
+    elements.inputVolume.value = Math.round(savedVolume * 100);
+  }
+
+  for (const type in notificationSettings) {
+    const saved = localStorage.getItem(`notify-${type}`);
+    if (saved !== null) {
+      notificationSettings[type] = saved === "true";
+    }
+  }
+  updateNotificationSettingsUI();
+
+  privateChat = localStorage.getItem("privateChat") === "true";
+  updatePrivateChatUI();
+
+  pushToTalk = localStorage.getItem("pushToTalk") === "true";
+  pttKey = localStorage.getItem("pttKey") || "Space";
+  updatePushToTalkUI();
+
   const savedUsername = localStorage.getItem("username");
   if (savedUsername) {
     elements.usernameInput.value = savedUsername;
@@ -172,6 +475,18 @@ function loadPreferences() {
   if (savedRoom) {
     elements.roomInput.value = savedRoom;
   }
+
+  // Invite links look like ?room=<name>&invite=<token>
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("room")) {
+    elements.roomInput.value = params.get("room");
+  }
+  roomInvite = params.get("invite");
+
+  if (localStorage.getItem("showStats") === "true") {
+    elements.statsPanel.classList.remove("hidden");
+    elements.statsBtn.classList.add("active");
+  }
 }
 
 /**
@@ -187,34 +502,63 @@ async function joinRoom() {
 
   currentUsername = username;
   currentChannel = room;
+  roomPassword = elements.passwordInput.value || null;
+
+  elements.joinError.classList.add("hidden");
+  elements.joinBtn.disabled = true;
 
   // Update UI
   elements.localUsername.textContent = username;
   elements.roomName.textContent = `🎤 ${room}`;
 
+  // Ask now, while we still have the click, so alerts can notify
+  if (wantsDesktopNotifications()) {
+    requestNotificationPermission();
+  }
+
   // Request microphone access
   try {
     await setupLocalMedia();
   } catch (error) {
-    console.error("Failed to access microphone:", error);
+    log.error("Failed to access microphone", { error: error });
     alert(
       "Could not access your microphone. Please grant permission and try again.",
     );
+    elements.joinBtn.disabled = false;
     return;
   }
 
+  // Push-to-talk starts with the mic closed
+  if (pushToTalk) {
+    setMuted(true);
+  }
+
+  // Fetch STUN/TURN servers before any peer connection is built
+  await fetchIceServers();
+
   // Connect to signaling server
   connectToSignalingServer();
 
-  // Switch screens
-  elements.joinScreen.classList.add("hidden");
-  elements.chatScreen.classList.remove("hidden");
+  // Start collecting connection stats
+  startStatsPolling();
+
+  // Screens switch once the server confirms the join
 }
 
 /**
  * Leave the current room
  */
 function leaveRoom() {
+  // Finish a recording; it is downloaded once the recorder flushes
+  stopRecording();
+
+  // Stop collecting stats
+  stopStatsPolling();
+
+  // Stop refreshing TURN credentials
+  clearTimeout(iceRefreshTimer);
+  iceRefreshTimer = null;
+
   // Disconnect from signaling server
   if (signalingSocket) {
     signalingSocket.emit("part", currentChannel);
@@ -227,31 +571,56 @@ function leaveRoom() {
     localStream.getTracks().forEach((track) => track.stop());
     localStream = null;
   }
-
-  // Close all peer connections
-  for (const peerId in peers) {
-    if (peers[peerId]) {
-      peers[peerId].close();
-    }
+  if (processedStream) {
+    processedStream.getTracks().forEach((track) => track.stop());
+    processedStream = null;
   }
-  peers = {};
 
-  // Remove all audio elements
-  for (const peerId in peerAudioElements) {
-    if (peerAudioElements[peerId]) {
-      peerAudioElements[peerId].remove();
-    }
+  // Stop relayed audio
+  stopRelay();
+  if (relayContext) {
+    relayContext.close();
+    relayContext = null;
+    relayWorkletReady = null;
   }
-  peerAudioElements = {};
+
+  // Close all peer connections
+  closeAllPeers();
 
   // Stop audio context
   if (audioContext) {
     audioContext.close();
     audioContext = null;
   }
+  micSource = null;
+  inputGain = null;
+  vadAnalyser = null;
 
   // Reset state
   currentChannel = null;
+  sessionToken = null;
+  localPeerId = null;
+  pttHeld = false;
+  roomPassword = null;
+  inviteToken = null;
+  roomOwner = null;
+  peersRecording = new Set();
+  // A recorder still stopping refreshes the UI itself once it has stopped
+  if (!mediaRecorder) {
+    updateRecordingUI();
+  }
+  oldestMessageId = null;
+  newestMessageId = null;
+  historyLoaded = false;
+  hasOlderMessages = false;
+  loadingOlderMessages = false;
+  seenPrivateMessages = new Set();
+  chatMessageCache = new Map();
+  setTyping(false);
+  clearReadReceipts();
+  clearUnread();
+  cancelComposeContext();
+  clearFileTransfers();
   isMuted = false;
   isSpeaking = false;
 
@@ -259,51 +628,81 @@ function leaveRoom() {
   elements.muteBtn.classList.remove("muted");
   elements.micOnIcon.classList.remove("hidden");
   elements.micOffIcon.classList.add("hidden");
-  elements.peersList.innerHTML =
-    '<p class="peers-placeholder">Waiting for others to join...</p>';
   elements.chatMessages.innerHTML =
     '<p class="chat-placeholder">No messages yet...</p>';
+  elements.localOwnerBadge.classList.add("hidden");
+  elements.peersList.classList.remove("owner-view");
 
   // Switch screens
+  elements.joinBtn.disabled = false;
   elements.chatScreen.classList.add("hidden");
   elements.joinScreen.classList.remove("hidden");
 }
 
+/**
+ * Close every peer connection and relayed stream and clear the
+ * participant list, e.g. before rejoining after a session was lost
+ */
+function closeAllPeers() {
+  stopRelay();
+
+  for (const peerId in peers) {
+    if (peers[peerId]) {
+      peers[peerId].close();
+    }
+  }
+  peers = {};
+
+  // Remove all audio elements
+  for (const peerId in peerAudioElements) {
+    if (peerAudioElements[peerId]) {
+      peerAudioElements[peerId].remove();
+    }
+  }
+  peerAudioElements = {};
+  peerNegotiation = {};
+  peerChatChannels = {};
+  peerFileChannels = {};
+  peerUsernames = {};
+  peerStats = {};
+  peerBitrates = {};
+  for (const peerId in typingPeers) {
+    clearTimeout(typingPeers[peerId].timer);
+  }
+  typingPeers = {};
+  updateTypingIndicator();
+
+  roomMode = "mesh";
+  elements.roomModeBadge.classList.add("hidden");
+  elements.peersList.innerHTML =
+    '<p class="peers-placeholder">Waiting for others to join...</p>';
+  elements.statsContent.innerHTML = "";
+}
+
 /**
  * Set up local audio media with optimized constraints
  */
 async function setupLocalMedia() {
-  console.log("Requesting microphone access...");
+  log.debug("Requesting microphone access");
 
   // Check if getUserMedia is available
   if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     const errorMsg =
       "getUserMedia is not supported. Make sure you're using HTTPS or localhost.";
-    console.error(errorMsg);
+    log.error(errorMsg);
     alert(errorMsg);
     throw new Error(errorMsg);
   }
 
-  const qualitySettings = CONFIG.quality[selectedQuality];
-
-  const constraints = {
-    audio: {
-      channelCount: qualitySettings.channelCount,
-      sampleRate: qualitySettings.sampleRate,
-      echoCancellation: qualitySettings.echoCancellation,
-      noiseSuppression: qualitySettings.noiseSuppression,
-      autoGainControl: qualitySettings.autoGainControl,
-    },
-    video: false,
-  };
+  const constraints = getAudioConstraints();
 
-  console.log("Audio constraints:", constraints);
+  log.debug("Audio constraints", { constraints: constraints });
 
   try {
     localStream = await navigator.mediaDevices.getUserMedia(constraints);
-    console.log("Microphone access granted!");
+    log.info("Microphone access granted");
   } catch (error) {
-    console.error("getUserMedia error:", error.name, error.message);
+    log.error("getUserMedia failed", { error: error });
 
     if (error.name === "NotAllowedError") {
       alert(
@@ -314,8 +713,9 @@ async function setupLocalMedia() {
     } else if (error.name === "NotReadableError") {
       alert("Microphone is already in use by another application.");
     } else if (error.name === "OverconstrainedError") {
-      // Try again with simpler constraints
-      console.log("Retrying with simpler audio constraints...");
+      // Try again with simpler constraints (this also covers a saved
+      // microphone that is no longer plugged in)
+      log.info("Retrying with simpler audio constraints");
       localStream = await navigator.mediaDevices.getUserMedia({
         audio: true,
         video: false,
@@ -329,607 +729,3905 @@ async function setupLocalMedia() {
     }
   }
 
-  // Set up Voice Activity Detection
-  setupVAD();
+  watchMicrophone(localStream);
 
-  console.log(
-    "Local audio stream acquired:",
-    localStream.getAudioTracks()[0].getSettings(),
-  );
+  // Route the mic through the Web Audio graph (gain, VAD)
+  setupAudioPipeline();
+
+  // Device labels are only readable once permission has been granted
+  refreshDeviceLists();
+
+  log.debug("Local audio stream acquired", {
+    settings: localStream.getAudioTracks()[0].getSettings(),
+  });
 }
 
 /**
- * Set up Voice Activity Detection
+ * Build getUserMedia constraints for the selected quality preset.
+ * `deviceId` defaults to the chosen microphone; "" means the system default.
  */
-function setupVAD() {
-  try {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const source = audioContext.createMediaStreamSource(localStream);
-    vadAnalyser = audioContext.createAnalyser();
-    vadAnalyser.fftSize = 256;
-    vadAnalyser.smoothingTimeConstant = 0.8;
-    source.connect(vadAnalyser);
-
-    vadDataArray = new Uint8Array(vadAnalyser.frequencyBinCount);
+function getAudioConstraints(deviceId = inputDevice) {
+  const qualitySettings = CONFIG.quality[selectedQuality];
 
-    // Start VAD loop
-    checkVoiceActivity();
-  } catch (error) {
-    console.warn("Could not set up VAD:", error);
+  const audio = {
+    channelCount: qualitySettings.channelCount,
+    sampleRate: qualitySettings.sampleRate,
+    echoCancellation: qualitySettings.echoCancellation,
+    noiseSuppression: qualitySettings.noiseSuppression,
+    autoGainControl: qualitySettings.autoGainControl,
+  };
+  if (deviceId) {
+    audio.deviceId = { exact: deviceId };
   }
+
+  return { audio, video: false };
 }
 
 /**
- * Check for voice activity (called in a loop)
+ * Swap in a new microphone stream. With the audio pipeline running only
+ * its source node changes and peers keep receiving the same processed
+ * track; without it the raw track is swapped on every sender.
  */
-function checkVoiceActivity() {
-  if (!vadAnalyser || !currentChannel) return;
+async function replaceLocalStream(newStream) {
+  const newTrack = newStream.getAudioTracks()[0];
+  newTrack.enabled = !isMuted;
 
-  vadAnalyser.getByteFrequencyData(vadDataArray);
+  if (localStream) {
+    localStream.getTracks().forEach((track) => track.stop());
+  }
+  localStream = newStream;
+  watchMicrophone(localStream);
 
-  // Calculate average volume
-  let sum = 0;
-  for (let i = 0; i < vadDataArray.length; i++) {
-    sum += vadDataArray[i];
+  if (audioContext && inputGain) {
+    if (micSource) {
+      micSource.disconnect();
+    }
+    micSource = audioContext.createMediaStreamSource(localStream);
+    micSource.connect(inputGain);
+    return;
   }
-  const average = sum / vadDataArray.length / 255;
 
-  // Smoothing to prevent flickering
-  const wasSpeaking = isSpeaking;
-  if (average > CONFIG.vadThreshold) {
-    speakingFrameCount = Math.min(
-      speakingFrameCount + 1,
-      CONFIG.vadSmoothingFrames,
+  await Promise.all(
+    Object.keys(peers).map(async (peerId) => {
+      const sender = getAudioSender(peers[peerId]);
+      if (!sender) return;
+
+      try {
+        await sender.replaceTrack(newTrack);
+      } catch (error) {
+        log.error("Error replacing track for peer", {
+          peer: peerId,
+          error: error,
+        });
+      }
+    }),
+  );
+
+  // And the recording, if one is running
+  if (mediaRecorder) {
+    addRecordingSource("local", getOutgoingStream());
+  }
+
+  // And the relay encoder, if this room is relayed
+  if (relayUplink) {
+    relayUplink.source.disconnect();
+    relayUplink.source =
+      relayContext.createMediaStreamSource(getOutgoingStream());
+    relayUplink.source.connect(relayUplink.capture);
+  }
+}
+
+/**
+ * Switch audio quality during a call without rejoining the room.
+ * Re-acquires the microphone with the new constraints, swaps it in and
+ * renegotiates so the new Opus bitrate lands in the SDP.
+ */
+async function changeCallQuality(quality) {
+  if (
+    qualityChangePending ||
+    micSwitchPending ||
+    quality === selectedQuality ||
+    !CONFIG.quality[quality]
+  ) {
+    return;
+  }
+
+  const previousQuality = selectedQuality;
+  selectedQuality = quality;
+  qualityChangePending = true;
+  updateQualityButtons();
+
+  try {
+    const newStream = await navigator.mediaDevices.getUserMedia(
+      getAudioConstraints(),
     );
-  } else {
-    speakingFrameCount = Math.max(speakingFrameCount - 1, 0);
+    await replaceLocalStream(newStream);
+  } catch (error) {
+    log.error("Could not switch audio quality", { error: error });
+    selectedQuality = previousQuality;
+    qualityChangePending = false;
+    updateQualityButtons();
+    return;
   }
 
-  isSpeaking = speakingFrameCount >= CONFIG.vadSmoothingFrames / 2;
+  localStorage.setItem("audioQuality", selectedQuality);
+  log.info("Audio quality changed", { quality: selectedQuality });
 
-  // Update UI and notify peers if state changed
-  if (isSpeaking !== wasSpeaking) {
-    elements.localSpeaking.classList.toggle("hidden", !isSpeaking || isMuted);
+  if (relayUplink) {
+    configureRelayEncoder(relayUplink.encoder);
+  }
 
-    if (signalingSocket && currentChannel) {
-      signalingSocket.emit("speakingStatus", {
-        channel: currentChannel,
-        isSpeaking: isSpeaking && !isMuted,
-      });
-    }
+  // Start the adaptive controller over from the new preset
+  for (const peerId in peers) {
+    delete peerBitrates[peerId];
+    applySendBitrate(peerId, CONFIG.quality[selectedQuality].maxBitrate);
+    sendOffer(peerId);
   }
 
-  requestAnimationFrame(checkVoiceActivity);
+  qualityChangePending = false;
+  updateQualityButtons();
 }
 
 /**
- * Connect to the signaling server
+ * Reflect the selected quality on the join screen and in-call buttons
  */
-function connectToSignalingServer() {
-  updateConnectionStatus("connecting", "Connecting...");
-
-  // Connect with optimized settings
-  signalingSocket = io({
-    transports: ["websocket"],
-    upgrade: false,
-    reconnection: true,
-    reconnectionAttempts: 10,
-    reconnectionDelay: 1000,
-    reconnectionDelayMax: 5000,
-    timeout: 10000,
+function updateQualityButtons() {
+  elements.qualityBtns.forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.quality === selectedQuality);
+  });
+  elements.callQualityBtns.forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.quality === selectedQuality);
+    btn.disabled = qualityChangePending;
   });
+}
 
-  signalingSocket.on("connect", () => {
-    console.log("Connected to signaling server");
-    updateConnectionStatus("connected", "Connected");
+/**
+ * List the audio inputs and outputs the browser exposes
+ */
+async function getAudioDevices() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return { inputs: [], outputs: [] };
+  }
 
-    // Set username
-    signalingSocket.emit("setUsername", currentUsername);
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    inputs: devices.filter((d) => d.kind === "audioinput" && d.deviceId),
+    outputs: devices.filter((d) => d.kind === "audiooutput" && d.deviceId),
+  };
+}
 
-    // Join the channel
-    signalingSocket.emit("join", {
-      channel: currentChannel,
-      userdata: { username: currentUsername },
-    });
-  });
+/**
+ * Refill the device pickers, marking the devices currently in use
+ */
+async function refreshDeviceLists(devices) {
+  try {
+    devices = devices || (await getAudioDevices());
+  } catch (error) {
+    log.warn("Could not list audio devices", { error: error });
+    return;
+  }
 
-  signalingSocket.on("disconnect", () => {
-    console.log("Disconnected from signaling server");
-    updateConnectionStatus("disconnected", "Disconnected");
-  });
+  fillDeviceSelect(
+    elements.inputDeviceSelect,
+    devices.inputs,
+    getMicrophoneId() || inputDevice,
+    "Microphone",
+  );
+  fillDeviceSelect(
+    elements.outputDeviceSelect,
+    devices.outputs,
+    activeOutputDevice,
+    "Speaker",
+  );
+}
 
-  signalingSocket.on("connect_error", (error) => {
-    console.error("Connection error:", error);
-    updateConnectionStatus("error", "Connection error");
-  });
+/**
+ * Replace the options of a device <select>
+ */
+function fillDeviceSelect(select, devices, selectedId, fallbackLabel) {
+  select.innerHTML = "";
 
-  // Handle peer events
-  signalingSocket.on("addPeer", handleAddPeer);
-  signalingSocket.on("removePeer", handleRemovePeer);
-  signalingSocket.on("sessionDescription", handleSessionDescription);
-  signalingSocket.on("iceCandidate", handleIceCandidate);
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = "System default";
+  select.appendChild(defaultOption);
 
-  // Handle chat messages
-  signalingSocket.on("chatMessage", handleChatMessage);
+  // "default" and "communications" are aliases Chrome adds for real devices
+  const choices = devices.filter(
+    (d) => d.deviceId !== "default" && d.deviceId !== "communications",
+  );
+  choices.forEach((device, index) => {
+    const option = document.createElement("option");
+    option.value = device.deviceId;
+    option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+    select.appendChild(option);
+  });
 
-  // Handle peer status updates
-  signalingSocket.on("peerMuteStatus", handlePeerMuteStatus);
-  signalingSocket.on("peerSpeakingStatus", handlePeerSpeakingStatus);
+  select.value = choices.some((d) => d.deviceId === selectedId)
+    ? selectedId
+    : "";
+}
 
-  // Handle user list
-  signalingSocket.on("userList", handleUserList);
+/**
+ * Device id of the microphone track currently being captured
+ */
+function getMicrophoneId() {
+  const track = localStream && localStream.getAudioTracks()[0];
+  return track ? track.getSettings().deviceId : null;
 }
 
 /**
- * Update connection status indicator
+ * Re-check devices when the microphone track ends, e.g. it was unplugged
  */
-function updateConnectionStatus(status, text) {
-  elements.connectionStatus.className = `status ${status}`;
-  elements.connectionStatus.textContent = text;
+function watchMicrophone(stream) {
+  stream.getAudioTracks().forEach((track) => {
+    track.addEventListener("ended", () => {
+      if (localStream === stream) {
+        handleDeviceChange();
+      }
+    });
+  });
 }
 
 /**
- * Handle adding a new peer
+ * Pick a microphone and, during a call, switch to it right away
  */
-async function handleAddPeer(config) {
-  console.log("Adding peer:", config);
+async function changeInputDevice(deviceId) {
+  inputDevice = deviceId;
+  localStorage.setItem("inputDevice", deviceId);
 
-  const peerId = config.peer_id;
+  if (localStream) {
+    await switchMicrophone(deviceId);
+  }
+}
+
+/**
+ * Capture from another microphone and swap it in. Senders keep their
+ * track (or get the new one via replaceTrack), so no renegotiation.
+ */
+async function switchMicrophone(deviceId) {
+  if (micSwitchPending || qualityChangePending) return false;
+  micSwitchPending = true;
+
+  try {
+    const newStream = await navigator.mediaDevices.getUserMedia(
+      getAudioConstraints(deviceId),
+    );
+    await replaceLocalStream(newStream);
+    log.info("Microphone switched", { device: getMicrophoneId() });
+    return true;
+  } catch (error) {
+    log.error("Could not switch microphone", { error: error });
+    return false;
+  } finally {
+    micSwitchPending = false;
+    refreshDeviceLists();
+  }
+}
+
+/**
+ * Pick a speaker and route all remote audio to it
+ */
+function changeOutputDevice(deviceId) {
+  outputDevice = deviceId;
+  localStorage.setItem("outputDevice", deviceId);
+  setOutputDevice(deviceId);
+}
+
+/**
+ * Apply an output device to every remote audio element and relay playback
+ */
+function setOutputDevice(deviceId) {
+  activeOutputDevice = deviceId;
+
+  for (const peerId in peerAudioElements) {
+    applyOutputDevice(peerAudioElements[peerId]);
+  }
+
+  if (relayContext && typeof relayContext.setSinkId === "function") {
+    relayContext.setSinkId(deviceId).catch((error) => {
+      log.warn("Could not set relay output device", { error: error });
+    });
+  }
+}
+
+/**
+ * Point one audio element at the active output device
+ */
+function applyOutputDevice(audio) {
+  if (typeof audio.setSinkId !== "function") return;
+  if (audio.sinkId === activeOutputDevice) return;
+
+  audio.setSinkId(activeOutputDevice).catch((error) => {
+    log.warn("Could not set output device", { error: error });
+  });
+}
+
+/**
+ * Devices were plugged in or removed. Fall back to the default device if
+ * one in use disappeared, and return to the chosen one when it comes back.
+ */
+async function handleDeviceChange() {
+  let devices;
+  try {
+    devices = await getAudioDevices();
+  } catch (error) {
+    log.warn("Could not list audio devices", { error: error });
+    return;
+  }
+
+  const hasInput = (id) => devices.inputs.some((d) => d.deviceId === id);
+  const hasOutput = (id) => devices.outputs.some((d) => d.deviceId === id);
+
+  if (localStream) {
+    const track = localStream.getAudioTracks()[0];
+    const currentId = getMicrophoneId();
+    const micLost =
+      !track ||
+      track.readyState === "ended" ||
+      (currentId && !hasInput(currentId));
+
+    if (inputDevice && hasInput(inputDevice) && currentId !== inputDevice) {
+      await switchMicrophone(inputDevice);
+    } else if (micLost) {
+      if (await switchMicrophone("")) {
+        showSystemMessage(
+          "Microphone disconnected, switched to the default device",
+        );
+      }
+    }
+  }
+
+  if (activeOutputDevice && !hasOutput(activeOutputDevice)) {
+    setOutputDevice("");
+    showSystemMessage("Speaker disconnected, switched to the default device");
+  } else if (
+    outputDevice &&
+    hasOutput(outputDevice) &&
+    activeOutputDevice !== outputDevice
+  ) {
+    setOutputDevice(outputDevice);
+  }
+
+  refreshDeviceLists(devices);
+}
+
+/**
+ * Build the local audio graph:
+ *
+ *   mic source -> input gain -> MediaStreamDestination (sent to peers)
+ *                           \-> VAD analyser
+ *
+ * Further processing stages belong between the gain and its outputs.
+ * If Web Audio is unavailable the raw microphone track is sent instead.
+ */
+function setupAudioPipeline() {
+  try {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    if (audioContext.state === "suspended") {
+      audioContext.resume();
+    }
+
+    micSource = audioContext.createMediaStreamSource(localStream);
+    inputGain = audioContext.createGain();
+    inputGain.gain.value = inputVolume;
+    micSource.connect(inputGain);
+
+    const destination = audioContext.createMediaStreamDestination();
+    inputGain.connect(destination);
+    processedStream = destination.stream;
+    processedStream.getAudioTracks().forEach((track) => {
+      track.enabled = !isMuted;
+    });
+
+    // Voice Activity Detection reads what peers will actually hear
+    vadAnalyser = audioContext.createAnalyser();
+    vadAnalyser.fftSize = 256;
+    vadAnalyser.smoothingTimeConstant = 0.8;
+    inputGain.connect(vadAnalyser);
+
+    vadDataArray = new Uint8Array(vadAnalyser.frequencyBinCount);
+
+    // Start VAD loop
+    checkVoiceActivity();
+  } catch (error) {
+    log.warn("Could not set up audio pipeline", { error: error });
+    processedStream = null;
+    inputGain = null;
+  }
+}
+
+/**
+ * The stream sent to peers: the processed pipeline output when available
+ */
+function getOutgoingStream() {
+  return processedStream || localStream;
+}
+
+/**
+ * Check for voice activity (called in a loop)
+ */
+function checkVoiceActivity() {
+  if (!vadAnalyser || !currentChannel) return;
+
+  vadAnalyser.getByteFrequencyData(vadDataArray);
+
+  // Calculate average volume
+  let sum = 0;
+  for (let i = 0; i < vadDataArray.length; i++) {
+    sum += vadDataArray[i];
+  }
+  const average = sum / vadDataArray.length / 255;
+
+  // Smoothing to prevent flickering
+  const wasSpeaking = isSpeaking;
+  if (average > CONFIG.vadThreshold) {
+    speakingFrameCount = Math.min(
+      speakingFrameCount + 1,
+      CONFIG.vadSmoothingFrames,
+    );
+  } else {
+    speakingFrameCount = Math.max(speakingFrameCount - 1, 0);
+  }
+
+  isSpeaking = speakingFrameCount >= CONFIG.vadSmoothingFrames / 2;
+
+  // Update UI and notify peers if state changed
+  if (isSpeaking !== wasSpeaking) {
+    elements.localSpeaking.classList.toggle("hidden", !isSpeaking || isMuted);
+
+    if (signalingSocket && currentChannel) {
+      signalingSocket.emit("speakingStatus", {
+        channel: currentChannel,
+        isSpeaking: isSpeaking && !isMuted,
+      });
+    }
+  }
+
+  requestAnimationFrame(checkVoiceActivity);
+}
+
+/**
+ * Fetch the ICE server list (including short-lived TURN credentials)
+ * from the server, falling back to the built-in STUN servers
+ */
+async function fetchIceServers() {
+  clearTimeout(iceRefreshTimer);
+  iceRefreshTimer = null;
+
+  // A hanging request would hold up joining the room
+  const controller = new AbortController();
+  const timeout = setTimeout(
+    () => controller.abort(),
+    CONFIG.iceServersTimeout,
+  );
+
+  try {
+    const response = await fetch("/ice-servers", {
+      cache: "no-store",
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const config = await response.json();
+    iceServers =
+      Array.isArray(config.iceServers) && config.iceServers.length > 0
+        ? config.iceServers
+        : CONFIG.iceServers;
+
+    // Refresh the credentials before they expire
+    if (config.ttl) {
+      iceRefreshTimer = setTimeout(refreshIceServers, config.ttl * 800);
+    }
+  } catch (error) {
+    log.warn("Could not fetch ICE servers, using defaults", { error: error });
+    iceServers = CONFIG.iceServers;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Re-fetch TURN credentials and hand them to existing peer connections
+ * so later ICE restarts can still allocate relays
+ */
+async function refreshIceServers() {
+  if (!currentChannel) return;
+
+  await fetchIceServers();
+
+  for (const peerId in peers) {
+    try {
+      peers[peerId].setConfiguration({
+        ...peers[peerId].getConfiguration(),
+        iceServers: iceServers,
+      });
+    } catch (error) {
+      log.warn("Could not update ICE servers for peer", {
+        peer: peerId,
+        error: error,
+      });
+    }
+  }
+}
+
+/**
+ * Connect to the signaling server
+ */
+function connectToSignalingServer() {
+  updateConnectionStatus("connecting", "Connecting...");
+
+  // Connect with optimized settings. The session token is sent on every
+  // (re)connection so the server can resume our session.
+  signalingSocket = io({
+    transports: ["websocket"],
+    upgrade: false,
+    reconnection: true,
+    reconnectionAttempts: 10,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 5000,
+    timeout: 10000,
+    auth: (callback) => callback({ sessionToken: sessionToken }),
+  });
+
+  signalingSocket.on("connect", () => {
+    log.info("Connected to signaling server");
+    updateConnectionStatus("connected", "Connected");
+  });
+
+  // The server answers every connection with a new or resumed session
+  signalingSocket.on("session", handleSession);
+
+  signalingSocket.on("disconnect", (reason) => {
+    log.info("Disconnected from signaling server", { reason: reason });
+    if (signalingSocket && signalingSocket.active) {
+      updateConnectionStatus("connecting", "Reconnecting...");
+    } else {
+      updateConnectionStatus("disconnected", "Disconnected");
+    }
+  });
+
+  signalingSocket.io.on("reconnect_failed", () => {
+    updateConnectionStatus("disconnected", "Disconnected");
+  });
+
+  signalingSocket.on("connect_error", (error) => {
+    log.error("Connection error", { error: error });
+    updateConnectionStatus("error", "Connection error");
+  });
+
+  // Handle join result
+  signalingSocket.on("joined", handleJoined);
+  signalingSocket.on("joinError", handleJoinError);
+
+  // Handle moderation
+  signalingSocket.on("roomOwner", handleRoomOwner);
+  signalingSocket.on("kicked", handleKicked);
+  signalingSocket.on("forceMute", handleForceMute);
+
+  // Handle peer events
+  signalingSocket.on("addPeer", handleAddPeer);
+  signalingSocket.on("removePeer", handleRemovePeer);
+  signalingSocket.on("sessionDescription", handleSessionDescription);
+  signalingSocket.on("iceCandidate", handleIceCandidate);
+
+  // Handle server-relayed audio
+  signalingSocket.on("roomMode", handleRoomMode);
+  signalingSocket.on("relayAudio", handleRelayAudio);
+
+  // Handle chat messages
+  signalingSocket.on("chatMessage", handleChatMessage);
+  signalingSocket.on("chatMessageUpdate", handleChatMessageUpdate);
+  signalingSocket.on("peerTypingStatus", handlePeerTypingStatus);
+  signalingSocket.on("peerMessagesSeen", handlePeerMessagesSeen);
+  signalingSocket.on("chatHistory", handleChatHistory);
+
+  // Handle peer status updates
+  signalingSocket.on("peerMuteStatus", handlePeerMuteStatus);
+  signalingSocket.on("peerRecordingStatus", handlePeerRecordingStatus);
+  signalingSocket.on("peerSpeakingStatus", handlePeerSpeakingStatus);
+
+  // Handle user list
+  signalingSocket.on("userList", handleUserList);
+}
+
+/**
+ * Join the current channel on a fresh signaling session
+ */
+function joinChannel() {
+  // Set username
+  signalingSocket.emit("setUsername", currentUsername);
+
+  // Join the channel; success arrives as a joined event
+  const channel = currentChannel;
+  signalingSocket.emit(
+    "join",
+    {
+      channel: channel,
+      mode: roomModePreference,
+      password: roomPassword,
+      inviteOnly: elements.inviteOnlyInput.checked,
+      invite: roomInvite,
+      // Keeps automatic relaying off while we couldn't hear it
+      relay: isRelaySupported(),
+      userdata: { username: currentUsername, clientId: clientId },
+    },
+    (response) => {
+      // Access refusals come first as a joinError event, which has
+      // already left the room
+      if (response && !response.ok && currentChannel === channel) {
+        handleJoinError(response);
+      }
+    },
+  );
+
+  // Let the room know if we start out muted (e.g. push-to-talk)
+  if (isMuted) {
+    signalingSocket.emit("muteStatus", {
+      channel: currentChannel,
+      isMuted: true,
+    });
+  }
+}
+
+/**
+ * Handle the session the server gave this connection. A resumed session
+ * keeps its peer connections; a new one after a lost session starts over.
+ */
+async function handleSession(config) {
+  const hadSession = sessionToken !== null;
+  sessionToken = config.token;
+  localPeerId = config.peer_id;
+
+  const room = config.resumed && config.rooms[currentChannel];
+  if (room) {
+    log.info("Session resumed", { peer: localPeerId });
+    await resumeRoom(room);
+    return;
+  }
+
+  if (hadSession) {
+    log.info("Session lost, rejoining the room");
+    closeAllPeers();
+    showSystemMessage("Connection was lost for too long, rejoining the room");
+  }
+  joinChannel();
+}
+
+/**
+ * Catch up on a room after resuming: apply what changed while we were
+ * away and restart ICE on connections that dropped. Peers that joined in
+ * the meantime arrive as addPeer events right after this.
+ */
+async function resumeRoom(room) {
+  handleRoomOwner({ peer_id: room.owner });
+  peersRecording = new Set(room.recording || []);
+  updateRecordingUI();
+
+  // Tell the room again in case it missed us starting or stopping
+  if (mediaRecorder) {
+    signalingSocket.emit("recordingStatus", {
+      channel: currentChannel,
+      isRecording: true,
+    });
+  }
+
+  for (const peerId in peerUsernames) {
+    if (!room.peers.includes(peerId)) {
+      handleRemovePeer({ peer_id: peerId });
+    }
+  }
+
+  await handleRoomMode({ mode: room.mode });
+
+  for (const peerId in peers) {
+    const state = peers[peerId].connectionState;
+    if (state === "disconnected" || state === "failed") {
+      restartPeerIce(peerId);
+    }
+  }
+}
+
+/**
+ * Handle the server accepting our join
+ */
+function handleJoined(config) {
+  log.info("Joined room", { channel: config.channel });
+
+  inviteToken = config.inviteToken || null;
+  elements.roomName.textContent = `${config.locked ? "🔒" : "🎤"} ${config.channel}`;
+  elements.inviteBtn.textContent = inviteToken ? "Invite" : "Copy link";
+  elements.joinBtn.disabled = false;
+  handleRoomOwner({ peer_id: config.owner });
+  peersRecording = new Set(config.recording || []);
+  updateRecordingUI();
+
+  // Switch screens
+  elements.joinScreen.classList.add("hidden");
+  elements.chatScreen.classList.remove("hidden");
+}
+
+/**
+ * Handle the server rejecting our join (wrong password, no invite, or an
+ * invalid or rate limited request)
+ */
+function handleJoinError(config) {
+  log.warn("Join rejected", { code: config.code });
+
+  leaveRoom();
+  showJoinError(config.message || "Could not join the room.");
+
+  if (config.code === "password_required" || config.code === "wrong_password") {
+    elements.passwordInput.focus();
+  }
+}
+
+/**
+ * Show an error message on the join screen
+ */
+function showJoinError(message) {
+  elements.joinError.textContent = message;
+  elements.joinError.classList.remove("hidden");
+}
+
+/**
+ * Handle a change of room owner
+ */
+function handleRoomOwner(config) {
+  roomOwner = config.peer_id;
+  const isOwner = roomOwner === localPeerId;
+
+  elements.localOwnerBadge.classList.toggle("hidden", !isOwner);
+  elements.peersList.classList.toggle("owner-view", isOwner);
+  elements.peersList.querySelectorAll(".peer-item").forEach((peerElement) => {
+    peerElement.classList.toggle(
+      "is-owner",
+      peerElement.id === `peer-${roomOwner}`,
+    );
+  });
+}
+
+/**
+ * Handle being kicked or banned by the room owner
+ */
+function handleKicked(config) {
+  log.warn("Removed from room", { reason: config.reason });
+
+  const messages = {
+    banned: "You were banned from the room by its owner.",
+    closed: "The room was closed by an administrator.",
+    disconnected: "You were disconnected by an administrator.",
+  };
+
+  leaveRoom();
+  showJoinError(
+    messages[config.reason] || "You were removed from the room by its owner.",
+  );
+}
+
+/**
+ * Handle the room owner muting us. Going through toggleMute broadcasts
+ * the new state to everyone like a normal mute.
+ */
+function handleForceMute() {
+  if (!isMuted) {
+    toggleMute();
+  }
+  showSystemMessage("The room owner muted your microphone.");
+}
+
+/**
+ * Owner action: remove a participant from the room
+ */
+function kickPeer(peerId) {
+  const name = peerUsernames[peerId] || peerId.slice(0, 6);
+  if (!confirm(`Remove ${name} from the room?`)) return;
+
+  signalingSocket.emit(
+    "kickPeer",
+    { channel: currentChannel, peer_id: peerId },
+    reportEventError,
+  );
+}
+
+/**
+ * Owner action: remove a participant and keep them out of the room
+ */
+function banPeer(peerId) {
+  const name = peerUsernames[peerId] || peerId.slice(0, 6);
+  if (!confirm(`Ban ${name} from the room?`)) return;
+
+  signalingSocket.emit(
+    "banPeer",
+    { channel: currentChannel, peer_id: peerId },
+    reportEventError,
+  );
+}
+
+/**
+ * Owner action: mute a participant's microphone
+ */
+function forceMutePeer(peerId) {
+  signalingSocket.emit(
+    "forceMute",
+    { channel: currentChannel, peer_id: peerId },
+    reportEventError,
+  );
+}
+
+/**
+ * Owner action: hand the room over to another participant
+ */
+function transferOwnership(peerId) {
+  const name = peerUsernames[peerId] || peerId.slice(0, 6);
+  if (!confirm(`Make ${name} the room owner?`)) return;
+
+  signalingSocket.emit(
+    "transferOwnership",
+    { channel: currentChannel, peer_id: peerId },
+    reportEventError,
+  );
+}
+
+/**
+ * Copy a link to the current room, including the invite token for
+ * invite-only rooms. Passwords are never part of the link.
+ */
+async function copyInviteLink() {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("room", currentChannel);
+  if (inviteToken) {
+    url.searchParams.set("invite", inviteToken);
+  }
+
+  try {
+    await navigator.clipboard.writeText(url.toString());
+    elements.inviteBtn.textContent = "Copied!";
+  } catch (error) {
+    log.warn("Could not copy invite link", { error: error });
+    prompt("Copy this link:", url.toString());
+    return;
+  }
+
+  setTimeout(() => {
+    elements.inviteBtn.textContent = inviteToken ? "Invite" : "Copy link";
+  }, 2000);
+}
+
+/**
+ * Update connection status indicator
+ */
+function updateConnectionStatus(status, text) {
+  elements.connectionStatus.className = `status ${status}`;
+  elements.connectionStatus.textContent = text;
+}
+
+/**
+ * Handle adding a new peer
+ */
+async function handleAddPeer(config) {
+  const peerId = config.peer_id;
   const peerUsername = config.username || peerId.slice(0, 6);
 
-  if (peers[peerId]) {
-    console.log("Already connected to peer:", peerId);
+  log.debug("Adding peer", {
+    peer: peerId,
+    username: peerUsername,
+    offerer: config.should_create_offer,
+  });
+
+  if (peers[peerId]) {
+    log.debug("Already connected to peer", { peer: peerId });
+    return;
+  }
+
+  peerUsernames[peerId] = peerUsername;
+
+  if (config.joined) {
+    notifyPresence(peerUsername, true);
+  }
+
+  // Relayed rooms have no peer connections, only a participant entry
+  if (roomMode === "relay") {
+    addPeerToUI(peerId, peerUsername);
+    updatePeerConnectionStatus(peerId, "relayed");
+    return;
+  }
+
+  // Create peer connection with optimized settings
+  const peerConnection = new RTCPeerConnection({
+    iceServers: iceServers,
+    iceCandidatePoolSize: 2,
+    bundlePolicy: "max-bundle",
+    rtcpMuxPolicy: "require",
+  });
+
+  peers[peerId] = peerConnection;
+
+  // Perfect negotiation: either side may offer at any time. On a collision
+  // the impolite peer (the one told to make the first offer) wins and the
+  // polite one rolls back its own offer.
+  peerNegotiation[peerId] = {
+    polite: !config.should_create_offer,
+    makingOffer: false,
+    ignoreOffer: false,
+    pendingCandidates: [],
+  };
+
+  // Private chat. Both sides create the same pre-negotiated channel, so
+  // there is no need to wait for ondatachannel.
+  setupChatChannel(
+    peerId,
+    peerConnection.createDataChannel("chat", { negotiated: true, id: 0 }),
+  );
+  setupFileChannel(
+    peerId,
+    peerConnection.createDataChannel("files", { negotiated: true, id: 1 }),
+  );
+
+  // Add local stream tracks
+  const outgoingStream = getOutgoingStream();
+  if (outgoingStream) {
+    outgoingStream.getTracks().forEach((track) => {
+      peerConnection.addTrack(track, outgoingStream);
+    });
+  }
+
+  // Handle ICE candidates
+  peerConnection.onicecandidate = (event) => {
+    if (event.candidate) {
+      log.trace("Sending ICE candidate", {
+        peer: peerId,
+        candidate: event.candidate.candidate,
+      });
+      signalingSocket.emit("relayICECandidate", {
+        peer_id: peerId,
+        ice_candidate: {
+          sdpMLineIndex: event.candidate.sdpMLineIndex,
+          candidate: event.candidate.candidate,
+        },
+      });
+    }
+  };
+
+  // Handle remote tracks
+  peerConnection.ontrack = (event) => {
+    log.trace("Received remote track", { peer: peerId });
+    handleRemoteTrack(peerId, peerUsername, event.streams[0]);
+  };
+
+  // Handle connection state changes
+  peerConnection.onconnectionstatechange = () => {
+    log.trace("Peer connection state changed", {
+      peer: peerId,
+      state: peerConnection.connectionState,
+    });
+    updatePeerConnectionStatus(peerId, peerConnection.connectionState);
+  };
+
+  // Offer whenever tracks or ICE change. The polite side leaves the
+  // first offer to the other peer instead of racing it.
+  peerConnection.onnegotiationneeded = () => {
+    if (peerNegotiation[peerId].polite && !peerConnection.remoteDescription) {
+      return;
+    }
+    sendOffer(peerId);
+  };
+
+  // Add peer to UI
+  addPeerToUI(peerId, peerUsername);
+  updatePeerConnectionStatus(peerId, "connecting");
+}
+
+/**
+ * Create an offer for a peer and send it through the signaling server
+ */
+async function sendOffer(peerId) {
+  const peerConnection = peers[peerId];
+  const negotiation = peerNegotiation[peerId];
+  if (!peerConnection) return;
+
+  if (negotiation.makingOffer || peerConnection.signalingState !== "stable") {
+    log.trace("Skipping offer, negotiation already in progress", {
+      peer: peerId,
+    });
+    return;
+  }
+
+  negotiation.makingOffer = true;
+  try {
+    const offer = await peerConnection.createOffer({
+      offerToReceiveAudio: true,
+      offerToReceiveVideo: false,
+    });
+
+    // A remote offer was applied while ours was being created
+    if (peerConnection.signalingState !== "stable") return;
+
+    // Modify SDP to set audio bitrate
+    const modifiedOffer = {
+      type: offer.type,
+      sdp: setAudioBitrate(
+        offer.sdp,
+        CONFIG.quality[selectedQuality].maxBitrate,
+      ),
+    };
+
+    await peerConnection.setLocalDescription(modifiedOffer);
+
+    log.trace("Sending offer", { peer: peerId, sdp: modifiedOffer.sdp });
+    signalingSocket.emit("relaySessionDescription", {
+      peer_id: peerId,
+      session_description: peerConnection.localDescription,
+    });
+  } catch (error) {
+    log.error("Error creating offer", { error: error });
+  } finally {
+    negotiation.makingOffer = false;
+  }
+}
+
+/**
+ * Handle removing a peer
+ */
+function handleRemovePeer(config) {
+  log.debug("Removing peer", { peer: config.peer_id });
+
+  const peerId = config.peer_id;
+
+  if (config.left) {
+    notifyPresence(peerUsernames[peerId] || peerId.slice(0, 6), false);
+  }
+
+  closePeerConnection(peerId);
+  stopRelayPlayback(peerId);
+  delete peerUsernames[peerId];
+  peersRecording.delete(peerId);
+  updateRecordingUI();
+  setPeerTyping(peerId, false);
+
+  // Remove from UI
+  removePeerFromUI(peerId);
+  renderStats();
+}
+
+/**
+ * Close a peer connection and its audio, keeping the participant listed
+ */
+function closePeerConnection(peerId) {
+  if (peers[peerId]) {
+    peers[peerId].close();
+    delete peers[peerId];
+  }
+  delete peerNegotiation[peerId];
+  delete peerChatChannels[peerId];
+  delete peerFileChannels[peerId];
+
+  // Remove audio element
+  if (peerAudioElements[peerId]) {
+    peerAudioElements[peerId].remove();
+    delete peerAudioElements[peerId];
+  }
+  removeRecordingSource(peerId);
+
+  delete peerStats[peerId];
+  delete peerBitrates[peerId];
+}
+
+/**
+ * Handle the room switching between a peer-to-peer mesh and audio
+ * relayed through the server
+ */
+async function handleRoomMode(config) {
+  const mode = config.mode === "relay" ? "relay" : "mesh";
+  if (mode === roomMode) return;
+
+  log.info("Room audio mode", { mode: mode });
+  roomMode = mode;
+  elements.roomModeBadge.classList.toggle("hidden", mode !== "relay");
+
+  if (mode === "relay") {
+    // Drop the mesh; participants stay listed and the server fans out audio
+    for (const peerId in peers) {
+      closePeerConnection(peerId);
+    }
+    for (const peerId in peerUsernames) {
+      updatePeerConnectionStatus(peerId, "relayed");
+    }
+    renderStats();
+
+    await startRelayUplink();
+  } else {
+    // The server follows up with addPeer for every pair
+    stopRelay();
+  }
+}
+
+/**
+ * Get the shared 48 kHz AudioContext used for relay capture and playback
+ */
+function getRelayContext() {
+  if (!relayContext) {
+    relayContext = new (window.AudioContext || window.webkitAudioContext)({
+      sampleRate: CONFIG.relay.sampleRate,
+    });
+    relayWorkletReady = relayContext.audioWorklet.addModule(
+      "/static/relay-worklet.js",
+    );
+    if (activeOutputDevice && typeof relayContext.setSinkId === "function") {
+      relayContext.setSinkId(activeOutputDevice).catch((error) => {
+        log.warn("Could not set relay output device", { error: error });
+      });
+    }
+  }
+  return relayContext;
+}
+
+/**
+ * Check for the WebCodecs and AudioWorklet support relay mode needs
+ */
+function isRelaySupported() {
+  return (
+    typeof AudioEncoder !== "undefined" &&
+    typeof AudioDecoder !== "undefined" &&
+    typeof AudioWorkletNode !== "undefined"
+  );
+}
+
+/**
+ * Start encoding the microphone with Opus and uploading it once to the
+ * server, which forwards it to everyone else in the room
+ */
+async function startRelayUplink() {
+  if (relayUplink || !localStream) return;
+
+  if (!isRelaySupported()) {
+    alert(
+      "This room relays audio through the server, which needs a browser with WebCodecs support.",
+    );
+    return;
+  }
+
+  const context = getRelayContext();
+  try {
+    await relayWorkletReady;
+  } catch (error) {
+    log.error("Could not load relay worklet", { error: error });
+    return;
+  }
+
+  // The room may have switched back while the worklet loaded
+  if (roomMode !== "relay" || relayUplink) return;
+
+  const source = context.createMediaStreamSource(getOutgoingStream());
+  const capture = new AudioWorkletNode(context, "relay-capture", {
+    numberOfOutputs: 0,
+    processorOptions: { frameSize: CONFIG.relay.frameSize },
+  });
+
+  const encoder = new AudioEncoder({
+    output: sendRelayChunk,
+    error: (error) => log.error("Relay encoder error", { error: error }),
+  });
+  configureRelayEncoder(encoder);
+
+  capture.port.onmessage = (event) => {
+    const samples = event.data;
+    const timestamp = relayTimestamp;
+    relayTimestamp += (samples.length * 1e6) / context.sampleRate;
+
+    // Nothing to send while muted
+    if (isMuted || encoder.state !== "configured") return;
+
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: context.sampleRate,
+      numberOfFrames: samples.length,
+      numberOfChannels: 1,
+      timestamp: timestamp,
+      data: samples,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  };
+
+  source.connect(capture);
+  relayUplink = { source, capture, encoder };
+  log.info("Relay uplink started");
+}
+
+/**
+ * Configure the relay Opus encoder for the selected quality preset
+ */
+function configureRelayEncoder(encoder) {
+  encoder.configure({
+    codec: "opus",
+    sampleRate: CONFIG.relay.sampleRate,
+    numberOfChannels: 1,
+    bitrate: CONFIG.quality[selectedQuality].maxBitrate,
+    opus: {
+      frameDuration: CONFIG.relay.frameDuration,
+      useinbandfec: true,
+      usedtx: true,
+    },
+  });
+}
+
+/**
+ * Send an encoded Opus frame to the server. Volatile emits are dropped
+ * rather than queued while the connection is down.
+ */
+function sendRelayChunk(chunk) {
+  if (!signalingSocket || !currentChannel) return;
+
+  const data = new ArrayBuffer(chunk.byteLength);
+  chunk.copyTo(data);
+
+  signalingSocket.volatile.emit("relayAudio", {
+    channel: currentChannel,
+    timestamp: chunk.timestamp,
+    data: data,
+  });
+}
+
+/**
+ * Decode a relayed Opus frame from another participant
+ */
+function handleRelayAudio(config) {
+  if (roomMode !== "relay" || !isRelaySupported()) return;
+
+  const playback = getRelayPlayback(config.peer_id);
+  if (playback.decoder.state !== "configured") return;
+
+  try {
+    playback.decoder.decode(
+      new EncodedAudioChunk({
+        type: "key",
+        timestamp: config.timestamp,
+        data: config.data,
+      }),
+    );
+  } catch (error) {
+    log.warn("Could not decode relayed audio", {
+      peer: config.peer_id,
+      error: error,
+    });
+  }
+}
+
+/**
+ * Get or create the decoder and output stream for a relayed peer.
+ * Output goes through an <audio> element like mesh audio does, so
+ * per-peer volume and mute keep working.
+ */
+function getRelayPlayback(peerId) {
+  if (relayPlayback[peerId]) return relayPlayback[peerId];
+
+  const context = getRelayContext();
+  const playback = {
+    destination: context.createMediaStreamDestination(),
+    nextTime: 0,
+    decoder: null,
+  };
+
+  playback.decoder = new AudioDecoder({
+    output: (audioData) => playRelayAudio(playback, audioData),
+    error: (error) =>
+      log.error("Relay decoder error", { peer: peerId, error: error }),
+  });
+  playback.decoder.configure({
+    codec: "opus",
+    sampleRate: CONFIG.relay.sampleRate,
+    numberOfChannels: 1,
+  });
+
+  relayPlayback[peerId] = playback;
+  handleRemoteTrack(
+    peerId,
+    peerUsernames[peerId] || peerId.slice(0, 6),
+    playback.destination.stream,
+  );
+
+  return playback;
+}
+
+/**
+ * Schedule decoded audio back-to-back behind a small jitter buffer
+ */
+function playRelayAudio(playback, audioData) {
+  const context = relayContext;
+  if (!context) {
+    audioData.close();
+    return;
+  }
+
+  const buffer = context.createBuffer(
+    1,
+    audioData.numberOfFrames,
+    audioData.sampleRate,
+  );
+  audioData.copyTo(buffer.getChannelData(0), {
+    planeIndex: 0,
+    format: "f32-planar",
+  });
+  audioData.close();
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(playback.destination);
+
+  // Resync after an underrun, or if we've queued up too much latency
+  const now = context.currentTime;
+  if (
+    playback.nextTime < now ||
+    playback.nextTime > now + CONFIG.relay.maxLatency
+  ) {
+    playback.nextTime = now + CONFIG.relay.jitterBuffer;
+  }
+
+  source.start(playback.nextTime);
+  playback.nextTime += buffer.duration;
+}
+
+/**
+ * Stop playback of a relayed peer
+ */
+function stopRelayPlayback(peerId) {
+  const playback = relayPlayback[peerId];
+  if (!playback) return;
+
+  if (playback.decoder.state !== "closed") {
+    playback.decoder.close();
+  }
+  delete relayPlayback[peerId];
+
+  if (peerAudioElements[peerId]) {
+    peerAudioElements[peerId].remove();
+    delete peerAudioElements[peerId];
+  }
+  removeRecordingSource(peerId);
+}
+
+/**
+ * Stop uploading and playing relayed audio
+ */
+function stopRelay() {
+  if (relayUplink) {
+    relayUplink.capture.port.onmessage = null;
+    relayUplink.source.disconnect();
+    if (relayUplink.encoder.state !== "closed") {
+      relayUplink.encoder.close();
+    }
+    relayUplink = null;
+    log.info("Relay uplink stopped");
+  }
+
+  for (const peerId in relayPlayback) {
+    stopRelayPlayback(peerId);
+  }
+}
+
+/**
+ * Renegotiate a dropped peer connection with fresh ICE credentials
+ */
+async function restartPeerIce(peerId) {
+  const peerConnection = peers[peerId];
+  if (!peerConnection) return;
+
+  log.info("Restarting ICE", { peer: peerId });
+
+  // An offer whose answer was lost in the outage would hold back the
+  // negotiationneeded event until the connection is stable again
+  if (peerConnection.signalingState === "have-local-offer") {
+    try {
+      await peerConnection.setLocalDescription({ type: "rollback" });
+    } catch (error) {
+      log.warn("Could not roll back pending offer", { error: error });
+    }
+  }
+
+  // Fires negotiationneeded, which sends the offer
+  peerConnection.restartIce();
+}
+
+/**
+ * Handle session description from remote peer
+ */
+async function handleSessionDescription(config) {
+  const peerId = config.peer_id;
+  const remoteDescription = config.session_description;
+
+  log.trace("Received session description", {
+    peer: peerId,
+    type: remoteDescription.type,
+    sdp: remoteDescription.sdp,
+  });
+
+  const peerConnection = peers[peerId];
+  const negotiation = peerNegotiation[peerId];
+  if (!peerConnection) {
+    log.error("No peer connection", { peer: peerId });
+    return;
+  }
+
+  // Both sides offered at once: the impolite peer keeps its own offer,
+  // the polite one lets setRemoteDescription roll its offer back
+  const offerCollision =
+    remoteDescription.type === "offer" &&
+    (negotiation.makingOffer || peerConnection.signalingState !== "stable");
+
+  negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+  if (negotiation.ignoreOffer) {
+    log.trace("Ignoring colliding offer", { peer: peerId });
+    return;
+  }
+
+  try {
+    await peerConnection.setRemoteDescription(
+      new RTCSessionDescription(remoteDescription),
+    );
+
+    // Candidates that arrived before the description can be added now
+    const pending = negotiation.pendingCandidates.splice(0);
+    for (const candidate of pending) {
+      await addIceCandidate(peerId, candidate);
+    }
+
+    // If this was an offer, create and send an answer
+    if (remoteDescription.type === "offer") {
+      const answer = await peerConnection.createAnswer();
+
+      // Modify SDP to set audio bitrate
+      const modifiedAnswer = {
+        type: answer.type,
+        sdp: setAudioBitrate(
+          answer.sdp,
+          CONFIG.quality[selectedQuality].maxBitrate,
+        ),
+      };
+
+      await peerConnection.setLocalDescription(modifiedAnswer);
+
+      log.trace("Sending answer", { peer: peerId, sdp: modifiedAnswer.sdp });
+      signalingSocket.emit("relaySessionDescription", {
+        peer_id: peerId,
+        session_description: peerConnection.localDescription,
+      });
+    }
+  } catch (error) {
+    log.error("Error handling session description", { error: error });
+  }
+}
+
+/**
+ * Handle ICE candidate from remote peer
+ */
+async function handleIceCandidate(config) {
+  const peerId = config.peer_id;
+  const candidate = config.ice_candidate;
+
+  log.trace("Received ICE candidate", {
+    peer: peerId,
+    candidate: candidate.candidate,
+  });
+
+  const peerConnection = peers[peerId];
+  if (!peerConnection) return;
+
+  // Too early: hold on to it until the remote description is set
+  if (!peerConnection.remoteDescription) {
+    peerNegotiation[peerId].pendingCandidates.push(candidate);
+    return;
+  }
+
+  await addIceCandidate(peerId, candidate);
+}
+
+/**
+ * Add a remote ICE candidate to a peer connection
+ */
+async function addIceCandidate(peerId, candidate) {
+  // The peer may have left while a description was being set
+  if (!peers[peerId] || !peerNegotiation[peerId]) return;
+
+  try {
+    await peers[peerId].addIceCandidate(new RTCIceCandidate(candidate));
+  } catch (error) {
+    // Candidates belonging to an offer we ignored are expected to fail,
+    // and so do ones for a peer removed in the meantime
+    if (peerNegotiation[peerId]?.ignoreOffer === false) {
+      log.error("Error adding ICE candidate", { error: error });
+    }
+  }
+}
+
+/**
+ * Handle remote audio track
+ */
+function handleRemoteTrack(peerId, peerUsername, stream) {
+  // Create audio element
+  const audio = document.createElement("audio");
+  audio.id = `audio-${peerId}`;
+  audio.autoplay = true;
+  audio.srcObject = stream;
+
+  // Add to container
+  elements.audioContainer.appendChild(audio);
+  peerAudioElements[peerId] = audio;
+  applyOutputDevice(audio);
+
+  // Someone joined mid-recording
+  if (mediaRecorder) {
+    addRecordingSource(peerId, stream);
+  }
+
+  log.debug("Remote audio element created", {
+    peer: peerId,
+    username: peerUsername,
+  });
+}
+
+/**
+ * Modify SDP to set audio bitrate for Opus codec
+ */
+function setAudioBitrate(sdp, bitrate) {
+  const lines = sdp.split("\r\n");
+  const result = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    result.push(lines[i]);
+
+    // Find audio m-line and add bandwidth attribute
+    if (lines[i].startsWith("m=audio")) {
+      // Add TIAS (Transport Independent Application Specific) bandwidth
+      result.push(`b=TIAS:${bitrate}`);
+    }
+
+    // Modify Opus fmtp line to add bitrate constraints
+    if (lines[i].includes("opus/48000")) {
+      // Find the payload type
+      const match = lines[i].match(/a=rtpmap:(\d+) opus/);
+      if (match) {
+        const pt = match[1];
+        // Look for existing fmtp line
+        for (let j = i + 1; j < lines.length; j++) {
+          if (lines[j].startsWith(`a=fmtp:${pt}`)) {
+            // Modify the fmtp line
+            if (!lines[j].includes("maxaveragebitrate")) {
+              lines[j] +=
+                `;maxaveragebitrate=${bitrate};maxplaybackrate=${CONFIG.quality[selectedQuality].sampleRate};useinbandfec=1;usedtx=1;cbr=0`;
+            }
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  return result.join("\r\n");
+}
+
+/**
+ * Start polling connection stats for every peer
+ */
+function startStatsPolling() {
+  stopStatsPolling();
+  statsTimer = setInterval(collectStats, CONFIG.statsInterval);
+  lastQualityReport = Date.now();
+}
+
+/**
+ * Stop polling connection stats
+ */
+function stopStatsPolling() {
+  if (statsTimer) {
+    clearInterval(statsTimer);
+    statsTimer = null;
+  }
+  peerStats = {};
+  peerBitrates = {};
+  qualitySamples = {};
+}
+
+/**
+ * Poll getStats() on every peer connection and refresh the panel
+ */
+async function collectStats() {
+  await Promise.all(
+    Object.keys(peers).map(async (peerId) => {
+      const peerConnection = peers[peerId];
+      if (!peerConnection || peerConnection.connectionState === "closed") {
+        return;
+      }
+
+      try {
+        const report = await peerConnection.getStats();
+
+        // The peer may have left while we were waiting
+        if (peers[peerId] !== peerConnection) return;
+
+        peerStats[peerId] = parseStatsReport(report, peerStats[peerId]);
+        recordQualitySample(peerStats[peerId]);
+
+        if (adaptiveBitrate) {
+          adaptBitrate(peerId, peerStats[peerId]);
+        }
+      } catch (error) {
+        log.warn("Could not get stats for peer", {
+          peer: peerId,
+          error: error,
+        });
+      }
+    }),
+  );
+
+  renderStats();
+
+  if (Date.now() - lastQualityReport >= CONFIG.qualityReportInterval) {
+    sendQualityReport();
+  }
+}
+
+/**
+ * Add a peer's latest stats to the running totals for the quality
+ * preset in use, to be averaged in the next report
+ */
+function recordQualitySample(stats) {
+  if (!qualitySamples[selectedQuality]) {
+    qualitySamples[selectedQuality] = { samples: 0, sums: {}, counts: {} };
+  }
+  const totals = qualitySamples[selectedQuality];
+  totals.samples++;
+
+  const values = {
+    loss: stats.packetLoss,
+    rtt: stats.rtt,
+    bitrate: stats.sendBitrate,
+  };
+  for (const key in values) {
+    if (values[key] !== null) {
+      totals.sums[key] = (totals.sums[key] || 0) + values[key];
+      totals.counts[key] = (totals.counts[key] || 0) + 1;
+    }
+  }
+}
+
+/**
+ * Report average loss, RTT and bitrate per quality preset to the server,
+ * which exports them as metrics. Nothing identifies the peers involved.
+ */
+function sendQualityReport() {
+  lastQualityReport = Date.now();
+
+  if (signalingSocket && currentChannel) {
+    for (const quality in qualitySamples) {
+      const totals = qualitySamples[quality];
+      const average = (key) =>
+        totals.counts[key] ? totals.sums[key] / totals.counts[key] : null;
+
+      signalingSocket.emit("callQualityReport", {
+        quality: quality,
+        samples: totals.samples,
+        loss: average("loss"),
+        rtt: average("rtt"),
+        bitrate: average("bitrate"),
+      });
+    }
+  }
+
+  qualitySamples = {};
+}
+
+/**
+ * Reduce an RTCStatsReport to the audio numbers we care about.
+ * Rates and loss are computed against the previous sample for the peer.
+ */
+function parseStatsReport(report, previous) {
+  const stats = {
+    timestamp: Date.now(),
+    bytesSent: 0,
+    bytesReceived: 0,
+    packetsLost: 0,
+    packetsReceived: 0,
+    concealedSamples: 0,
+    totalSamplesReceived: 0,
+    sendBitrate: null,
+    receiveBitrate: null,
+    packetLoss: null,
+    remotePacketLoss: null,
+    concealedPercent: null,
+    jitter: null,
+    rtt: null,
+    localCandidateType: null,
+    remoteCandidateType: null,
+  };
+
+  const candidatePairs = [];
+  const candidates = {};
+  let selectedPairId = null;
+
+  report.forEach((entry) => {
+    switch (entry.type) {
+      case "outbound-rtp":
+        if (entry.kind === "audio") {
+          stats.bytesSent = entry.bytesSent || 0;
+        }
+        break;
+      case "inbound-rtp":
+        if (entry.kind === "audio") {
+          stats.bytesReceived = entry.bytesReceived || 0;
+          stats.packetsLost = entry.packetsLost || 0;
+          stats.packetsReceived = entry.packetsReceived || 0;
+          stats.concealedSamples = entry.concealedSamples || 0;
+          stats.totalSamplesReceived = entry.totalSamplesReceived || 0;
+          if (entry.jitter !== undefined) {
+            stats.jitter = entry.jitter * 1000;
+          }
+        }
+        break;
+      case "remote-inbound-rtp":
+        // How the remote side sees our outgoing stream
+        if (entry.kind === "audio") {
+          if (entry.fractionLost !== undefined) {
+            stats.remotePacketLoss = entry.fractionLost * 100;
+          }
+          if (entry.roundTripTime !== undefined) {
+            stats.rtt = entry.roundTripTime * 1000;
+          }
+        }
+        break;
+      case "transport":
+        if (entry.selectedCandidatePairId) {
+          selectedPairId = entry.selectedCandidatePairId;
+        }
+        break;
+      case "candidate-pair":
+        candidatePairs.push(entry);
+        break;
+      case "local-candidate":
+      case "remote-candidate":
+        candidates[entry.id] = entry;
+        break;
+    }
+  });
+
+  // Chrome points at the pair from the transport, Firefox flags it directly
+  const selectedPair =
+    candidatePairs.find((pair) => pair.id === selectedPairId) ||
+    candidatePairs.find(
+      (pair) => pair.selected || (pair.nominated && pair.state === "succeeded"),
+    );
+
+  if (selectedPair) {
+    const local = candidates[selectedPair.localCandidateId];
+    const remote = candidates[selectedPair.remoteCandidateId];
+    stats.localCandidateType = local ? local.candidateType : null;
+    stats.remoteCandidateType = remote ? remote.candidateType : null;
+
+    if (stats.rtt === null && selectedPair.currentRoundTripTime !== undefined) {
+      stats.rtt = selectedPair.currentRoundTripTime * 1000;
+    }
+  }
+
+  if (previous) {
+    const seconds = (stats.timestamp - previous.timestamp) / 1000;
+    if (seconds > 0) {
+      stats.sendBitrate = Math.max(
+        0,
+        ((stats.bytesSent - previous.bytesSent) * 8) / seconds,
+      );
+      stats.receiveBitrate = Math.max(
+        0,
+        ((stats.bytesReceived - previous.bytesReceived) * 8) / seconds,
+      );
+    }
+
+    const lost = Math.max(0, stats.packetsLost - previous.packetsLost);
+    const received = stats.packetsReceived - previous.packetsReceived;
+    if (lost + received > 0) {
+      stats.packetLoss = (lost / (lost + received)) * 100;
+    }
+
+    const samples = stats.totalSamplesReceived - previous.totalSamplesReceived;
+    if (samples > 0) {
+      stats.concealedPercent =
+        ((stats.concealedSamples - previous.concealedSamples) / samples) * 100;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Step a peer's send bitrate up or down based on its latest stats.
+ * Separate high/low thresholds plus consecutive-sample counts keep the
+ * controller from flapping between two rates on a noisy link.
+ */
+function adaptBitrate(peerId, stats) {
+  const settings = CONFIG.adaptiveBitrate;
+  const ceiling = CONFIG.quality[selectedQuality].maxBitrate;
+  const floor = CONFIG.quality.low.maxBitrate;
+
+  if (!peerBitrates[peerId]) {
+    peerBitrates[peerId] = { bitrate: ceiling, badSamples: 0, goodSamples: 0 };
+  }
+  const state = peerBitrates[peerId];
+
+  // Prefer the loss the remote side reports for our outgoing stream
+  const loss =
+    stats.remotePacketLoss !== null ? stats.remotePacketLoss : stats.packetLoss;
+  if (loss === null && stats.rtt === null) return;
+
+  const degraded =
+    (loss !== null && loss > settings.lossHigh) ||
+    (stats.rtt !== null && stats.rtt > settings.rttHigh);
+  const healthy =
+    (loss === null || loss < settings.lossLow) &&
+    (stats.rtt === null || stats.rtt < settings.rttLow);
+
+  if (degraded) {
+    state.badSamples++;
+    state.goodSamples = 0;
+  } else if (healthy) {
+    state.goodSamples++;
+    state.badSamples = 0;
+  } else {
+    // Between the thresholds: hold the current rate
+    state.badSamples = 0;
+    state.goodSamples = 0;
+  }
+
+  let target = Math.min(state.bitrate, ceiling);
+  if (state.badSamples >= settings.degradeSamples) {
+    target = Math.max(floor, Math.round(state.bitrate * settings.stepDown));
+  } else if (state.goodSamples >= settings.recoverSamples) {
+    target = Math.min(ceiling, Math.round(state.bitrate * settings.stepUp));
+  }
+
+  if (target === state.bitrate) return;
+
+  state.bitrate = target;
+  state.badSamples = 0;
+  state.goodSamples = 0;
+  applySendBitrate(peerId, target);
+}
+
+/**
+ * Cap the encoder bitrate of our audio sender for a peer
+ */
+async function applySendBitrate(peerId, bitrate) {
+  const peerConnection = peers[peerId];
+  if (!peerConnection) return;
+
+  const sender = getAudioSender(peerConnection);
+  if (!sender) return;
+
+  try {
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+      parameters.encodings = [{}];
+    }
+    parameters.encodings[0].maxBitrate = bitrate;
+    await sender.setParameters(parameters);
+    log.debug("Send bitrate set", { peer: peerId, bitrate: bitrate });
+  } catch (error) {
+    log.warn("Could not set send bitrate for peer", {
+      peer: peerId,
+      error: error,
+    });
+  }
+}
+
+/**
+ * Find the sender carrying our microphone on a peer connection
+ */
+function getAudioSender(peerConnection) {
+  const transceiver = peerConnection
+    .getTransceivers()
+    .find(
+      (t) =>
+        t.sender.track?.kind === "audio" || t.receiver.track?.kind === "audio",
+    );
+  return transceiver ? transceiver.sender : null;
+}
+
+/**
+ * Render the collected stats into the stats panel
+ */
+function renderStats() {
+  if (elements.statsPanel.classList.contains("hidden")) return;
+
+  if (roomMode === "relay") {
+    elements.statsContent.innerHTML =
+      '<p class="stats-placeholder">Audio is relayed through the server</p>';
+    return;
+  }
+
+  const peerIds = Object.keys(peerStats);
+  if (peerIds.length === 0) {
+    elements.statsContent.innerHTML =
+      '<p class="stats-placeholder">No active connections</p>';
+    return;
+  }
+
+  const presetBitrate = CONFIG.quality[selectedQuality].maxBitrate;
+
+  elements.statsContent.innerHTML = peerIds
+    .map((peerId) => {
+      const stats = peerStats[peerId];
+      const target = peerBitrates[peerId]
+        ? `${formatBitrate(peerBitrates[peerId].bitrate)} auto`
+        : formatBitrate(presetBitrate);
+      const name = peerUsernames[peerId] || peerId.slice(0, 6);
+      const route = stats.localCandidateType
+        ? `${stats.localCandidateType} → ${stats.remoteCandidateType || "?"}`
+        : "–";
+
+      return `
+        <div class="stats-peer">
+          <div class="stats-peer-name">${escapeHtml(name)}</div>
+          <dl class="stats-grid">
+            <dt>Send</dt>
+            <dd>${formatBitrate(stats.sendBitrate)} (target ${target})</dd>
+            <dt>Receive</dt>
+            <dd>${formatBitrate(stats.receiveBitrate)}</dd>
+            <dt>Loss in/out</dt>
+            <dd>${formatPercent(stats.packetLoss)} / ${formatPercent(stats.remotePacketLoss)}</dd>
+            <dt>Jitter</dt>
+            <dd>${formatMs(stats.jitter)}</dd>
+            <dt>RTT</dt>
+            <dd>${formatMs(stats.rtt)}</dd>
+            <dt>Concealed</dt>
+            <dd>${stats.concealedSamples} samples (${formatPercent(stats.concealedPercent)})</dd>
+            <dt>Route</dt>
+            <dd>${escapeHtml(route)}</dd>
+          </dl>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Show or hide the stats panel
+ */
+function toggleStatsPanel() {
+  const visible = !elements.statsPanel.classList.toggle("hidden");
+  elements.statsBtn.classList.toggle("active", visible);
+  localStorage.setItem("showStats", visible);
+  renderStats();
+}
+
+/**
+ * Start or stop recording the call
+ */
+function toggleRecording() {
+  if (mediaRecorder) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+}
+
+/**
+ * Record the call locally: our outgoing audio and every remote stream are
+ * mixed into one track and recorded as Opus. Nothing is uploaded.
+ */
+function startRecording() {
+  if (mediaRecorder || !currentChannel) return;
+
+  if (typeof MediaRecorder === "undefined") {
+    showSystemMessage("Recording is not supported in this browser");
+    return;
+  }
+
+  try {
+    recordingContext = new (window.AudioContext || window.webkitAudioContext)();
+    recordingDestination = recordingContext.createMediaStreamDestination();
+
+    addRecordingSource("local", getOutgoingStream());
+    for (const peerId in peerAudioElements) {
+      addRecordingSource(peerId, peerAudioElements[peerId].srcObject);
+    }
+
+    const mimeType = [
+      "audio/webm;codecs=opus",
+      "audio/ogg;codecs=opus",
+      "audio/webm",
+    ].find((type) => MediaRecorder.isTypeSupported(type));
+
+    mediaRecorder = new MediaRecorder(recordingDestination.stream, {
+      mimeType: mimeType,
+      audioBitsPerSecond: 32000,
+    });
+  } catch (error) {
+    log.error("Could not start recording", { error: error });
+    showSystemMessage("Could not start recording");
+    cleanUpRecording();
+    return;
+  }
+
+  recordingChunks = [];
+  recordingStartedAt = Date.now();
+  mediaRecorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      recordingChunks.push(event.data);
+    }
+  };
+  mediaRecorder.onstop = finishRecording;
+  mediaRecorder.start(1000);
+
+  signalingSocket.emit("recordingStatus", {
+    channel: currentChannel,
+    isRecording: true,
+  });
+  updateRecordingUI();
+  log.info("Recording started", { mimeType: mediaRecorder.mimeType });
+}
+
+/**
+ * Stop the recording; the file is offered once the recorder flushes
+ */
+function stopRecording() {
+  if (!mediaRecorder) return;
+
+  if (mediaRecorder.state !== "inactive") {
+    mediaRecorder.stop();
+  }
+
+  if (signalingSocket && currentChannel) {
+    signalingSocket.emit("recordingStatus", {
+      channel: currentChannel,
+      isRecording: false,
+    });
+  }
+}
+
+/**
+ * Turn the recorded chunks into a file. In a room it is offered in the
+ * chat; after leaving it is downloaded straight away.
+ */
+function finishRecording() {
+  const recorder = mediaRecorder;
+  const blob = new Blob(recordingChunks, { type: recorder.mimeType });
+  const duration = Date.now() - recordingStartedAt;
+  const extension = recorder.mimeType.includes("ogg") ? "ogg" : "webm";
+  const stamp = new Date(recordingStartedAt)
+    .toISOString()
+    .slice(0, 19)
+    .replace(/[:T]/g, "-");
+
+  cleanUpRecording();
+  updateRecordingUI();
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `call-${stamp}.${extension}`;
+
+  if (!currentChannel) {
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    return;
+  }
+
+  link.className = "file-download";
+  link.textContent = "Download";
+
+  const messageElement = document.createElement("div");
+  messageElement.className = "chat-message file";
+  messageElement.innerHTML = `
+    <span class="message-text">⏺ Call recording (${formatDuration(duration)}, ${formatBytes(blob.size)})</span>
+    <div class="file-transfer"></div>
+  `;
+  messageElement.querySelector(".file-transfer").appendChild(link);
+  appendChatElement(messageElement);
+}
+
+/**
+ * Release the recorder and its audio graph
+ */
+function cleanUpRecording() {
+  for (const key in recordingSources) {
+    recordingSources[key].disconnect();
+  }
+  recordingSources = {};
+
+  if (recordingContext) {
+    recordingContext.close();
+  }
+  recordingContext = null;
+  recordingDestination = null;
+  mediaRecorder = null;
+  recordingChunks = [];
+}
+
+/**
+ * Mix a stream into the recording, replacing any earlier one for the key
+ */
+function addRecordingSource(key, stream) {
+  removeRecordingSource(key);
+  if (!recordingContext || !stream || stream.getAudioTracks().length === 0) {
+    return;
+  }
+
+  const source = recordingContext.createMediaStreamSource(stream);
+  source.connect(recordingDestination);
+  recordingSources[key] = source;
+}
+
+/**
+ * Take a stream out of the recording mix
+ */
+function removeRecordingSource(key) {
+  if (recordingSources[key]) {
+    recordingSources[key].disconnect();
+    delete recordingSources[key];
+  }
+}
+
+/**
+ * Show who is recording: the room-wide indicator, our own button and a
+ * badge on each recording participant
+ */
+function updateRecordingUI() {
+  const recording = mediaRecorder !== null;
+  const names = Array.from(peersRecording).map(
+    (peerId) => peerUsernames[peerId] || peerId.slice(0, 6),
+  );
+  if (recording) {
+    names.unshift("you");
+  }
+
+  elements.recordBtn.classList.toggle("active", recording);
+  elements.recordBtn.textContent = recording ? "⏹ Stop" : "⏺ Record";
+  elements.recordingIndicator.classList.toggle("hidden", names.length === 0);
+  elements.recordingIndicator.title = `Being recorded by ${names.join(", ")}`;
+
+  elements.peersList.querySelectorAll(".peer-item").forEach((peerElement) => {
+    peerElement.classList.toggle(
+      "is-recording",
+      peersRecording.has(peerElement.id.slice("peer-".length)),
+    );
+  });
+}
+
+/**
+ * Add peer to the UI
+ */
+function addPeerToUI(peerId, username) {
+  // Remove placeholder if present
+  const placeholder = elements.peersList.querySelector(".peers-placeholder");
+  if (placeholder) {
+    placeholder.remove();
+  }
+
+  // Check if already exists
+  if (document.getElementById(`peer-${peerId}`)) return;
+
+  const peerElement = document.createElement("div");
+  peerElement.id = `peer-${peerId}`;
+  peerElement.className =
+    peerId === roomOwner ? "peer-item is-owner" : "peer-item";
+  peerElement.classList.toggle("is-recording", peersRecording.has(peerId));
+  peerElement.innerHTML = `
+    <div class="peer-info">
+      <span class="peer-name">${escapeHtml(username)}</span>
+      <span class="peer-owner-badge" title="Room owner">👑</span>
+      <span class="peer-recording-badge" title="Recording the call">⏺</span>
+      <span class="peer-status connecting">Connecting...</span>
+      <span class="peer-speaking hidden">🎤</span>
+    </div>
+    <div class="peer-controls">
+      <button class="peer-mute-btn" onclick="togglePeerMute('${peerId}')" title="Mute/Unmute">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>
+        </svg>
+      </button>
+      <input type="range" class="peer-volume" min="0" max="100" value="100"
+             onchange="setPeerVolume('${peerId}', this.value)" title="Volume">
+      <div class="peer-moderation">
+        <button class="peer-mod-btn" onclick="forceMutePeer('${peerId}')" title="Mute their microphone">Mute</button>
+        <button class="peer-mod-btn" onclick="transferOwnership('${peerId}')" title="Make room owner">Owner</button>
+        <button class="peer-mod-btn danger" onclick="kickPeer('${peerId}')" title="Remove from room">Kick</button>
+        <button class="peer-mod-btn danger" onclick="banPeer('${peerId}')" title="Ban from room">Ban</button>
+      </div>
+    </div>
+  `;
+
+  elements.peersList.appendChild(peerElement);
+}
+
+/**
+ * Remove peer from the UI
+ */
+function removePeerFromUI(peerId) {
+  const peerElement = document.getElementById(`peer-${peerId}`);
+  if (peerElement) {
+    peerElement.remove();
+  }
+
+  // Show placeholder if no peers left
+  if (elements.peersList.children.length === 0) {
+    elements.peersList.innerHTML =
+      '<p class="peers-placeholder">Waiting for others to join...</p>';
+  }
+}
+
+/**
+ * Update peer connection status in UI
+ */
+function updatePeerConnectionStatus(peerId, state) {
+  const peerElement = document.getElementById(`peer-${peerId}`);
+  if (!peerElement) return;
+
+  const statusElement = peerElement.querySelector(".peer-status");
+  if (statusElement) {
+    statusElement.className = `peer-status ${state}`;
+    switch (state) {
+      case "connected":
+        statusElement.textContent = "Connected";
+        break;
+      case "connecting":
+        statusElement.textContent = "Connecting...";
+        break;
+      case "disconnected":
+        statusElement.textContent = "Disconnected";
+        break;
+      case "failed":
+        statusElement.textContent = "Failed";
+        break;
+      case "relayed":
+        statusElement.textContent = "Relayed";
+        break;
+      default:
+        statusElement.textContent = state;
+    }
+  }
+}
+
+/**
+ * Handle user list from server
+ */
+function handleUserList(users) {
+  log.debug("User list", { count: users.length });
+  // Users are added via addPeer events, this is just for initial state
+}
+
+/**
+ * Toggle local mute
+ */
+function toggleMute() {
+  setMuted(!isMuted);
+}
+
+/**
+ * Mute or unmute the microphone and tell the room
+ */
+function setMuted(muted) {
+  isMuted = muted;
+
+  [localStream, processedStream].forEach((stream) => {
+    if (!stream) return;
+    stream.getAudioTracks().forEach((track) => {
+      track.enabled = !isMuted;
+    });
+  });
+
+  // Update UI
+  elements.muteBtn.classList.toggle("muted", isMuted);
+  elements.micOnIcon.classList.toggle("hidden", isMuted);
+  elements.micOffIcon.classList.toggle("hidden", !isMuted);
+  elements.localSpeaking.classList.add("hidden");
+
+  // Notify peers
+  if (signalingSocket && currentChannel) {
+    signalingSocket.emit("muteStatus", {
+      channel: currentChannel,
+      isMuted: isMuted,
+    });
+  }
+}
+
+/**
+ * Turn push-to-talk mode on or off
+ */
+function setPushToTalk(enabled) {
+  pushToTalk = enabled;
+  pttHeld = false;
+  capturingPttKey = false;
+  localStorage.setItem("pushToTalk", pushToTalk);
+
+  // The mic stays closed until the key is held
+  if (currentChannel) {
+    setMuted(pushToTalk);
+  }
+
+  updatePushToTalkUI();
+}
+
+/**
+ * Open the mic while the push-to-talk key is held, or record a new key
+ */
+function handlePushToTalkKeyDown(e) {
+  if (capturingPttKey) {
+    e.preventDefault();
+    if (e.code !== "Escape") {
+      pttKey = e.code;
+      localStorage.setItem("pttKey", pttKey);
+    }
+    capturingPttKey = false;
+    updatePushToTalkUI();
+    return;
+  }
+
+  if (!pushToTalk || !currentChannel || e.code !== pttKey) return;
+
+  // Typing in the chat (or any field) shouldn't key the mic
+  if (isTextEntry(document.activeElement)) return;
+
+  e.preventDefault();
+  if (e.repeat || pttHeld) return;
+
+  pttHeld = true;
+  setMuted(false);
+  updatePushToTalkUI();
+}
+
+/**
+ * Close the mic when the push-to-talk key is released
+ */
+function handlePushToTalkKeyUp(e) {
+  if (e.code === pttKey) {
+    releasePushToTalk();
+  }
+}
+
+/**
+ * Close the mic if push-to-talk was held (also on window blur, since the
+ * keyup would never arrive)
+ */
+function releasePushToTalk() {
+  if (!pttHeld) return;
+
+  pttHeld = false;
+  setMuted(true);
+  updatePushToTalkUI();
+}
+
+/**
+ * Reflect the push-to-talk mode, key and state in the local-user panel
+ */
+function updatePushToTalkUI() {
+  const keyName = formatKeyCode(pttKey);
+
+  elements.pttBtn.classList.toggle("active", pushToTalk);
+  elements.pttKeyBtn.classList.toggle("hidden", !pushToTalk);
+  elements.pttKeyBtn.textContent = capturingPttKey
+    ? "Press a key..."
+    : `Key: ${keyName}`;
+
+  elements.pttIndicator.classList.toggle("hidden", !pushToTalk);
+  elements.pttIndicator.classList.toggle("active", pttHeld);
+  elements.pttIndicator.textContent = pttHeld
+    ? "Talking"
+    : `Hold ${keyName} to talk`;
+}
+
+/**
+ * Check whether an element takes text input
+ */
+function isTextEntry(element) {
+  if (!element) return false;
+  return (
+    element.tagName === "TEXTAREA" ||
+    element.tagName === "SELECT" ||
+    element.isContentEditable ||
+    (element.tagName === "INPUT" &&
+      !["checkbox", "radio", "range", "button"].includes(element.type))
+  );
+}
+
+/**
+ * Turn a KeyboardEvent.code into a readable key name
+ */
+function formatKeyCode(code) {
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  return code.replace(/(Left|Right)$/, " ($1)");
+}
+
+/**
+ * Set input volume (gain)
+ */
+function setInputVolume(volume) {
+  inputVolume = volume;
+  localStorage.setItem("inputVolume", volume);
+
+  // Ramp briefly to avoid clicks while dragging the slider
+  if (audioContext && inputGain) {
+    inputGain.gain.setTargetAtTime(volume, audioContext.currentTime, 0.02);
+  }
+}
+
+/**
+ * Toggle peer mute
+ */
+function togglePeerMute(peerId) {
+  const audio = peerAudioElements[peerId];
+  if (audio) {
+    audio.muted = !audio.muted;
+
+    const btn = document.querySelector(`#peer-${peerId} .peer-mute-btn`);
+    if (btn) {
+      btn.classList.toggle("muted", audio.muted);
+    }
+  }
+}
+
+/**
+ * Set peer volume
+ */
+function setPeerVolume(peerId, volume) {
+  const audio = peerAudioElements[peerId];
+  if (audio) {
+    audio.volume = volume / 100;
+  }
+}
+
+/**
+ * Handle a peer starting or stopping a recording of the call
+ */
+function handlePeerRecordingStatus(config) {
+  if (config.isRecording) {
+    peersRecording.add(config.peer_id);
+  } else {
+    peersRecording.delete(config.peer_id);
+  }
+  updateRecordingUI();
+}
+
+/**
+ * Handle peer mute status update
+ */
+function handlePeerMuteStatus(config) {
+  const peerElement = document.getElementById(`peer-${config.peer_id}`);
+  if (peerElement) {
+    peerElement.classList.toggle("peer-muted", config.isMuted);
+  }
+}
+
+/**
+ * Handle peer speaking status update
+ */
+function handlePeerSpeakingStatus(config) {
+  const peerElement = document.getElementById(`peer-${config.peer_id}`);
+  if (peerElement) {
+    const speakingIndicator = peerElement.querySelector(".peer-speaking");
+    if (speakingIndicator) {
+      speakingIndicator.classList.toggle("hidden", !config.isSpeaking);
+    }
+    peerElement.classList.toggle("speaking", config.isSpeaking);
+  }
+}
+
+/**
+ * Send a chat message
+ */
+function sendChatMessage() {
+  const message = elements.chatInput.value.trim();
+  if (!message || !signalingSocket || !currentChannel) return;
+
+  if (composeContext && composeContext.type === "edit") {
+    signalingSocket.emit(
+      "editMessage",
+      { channel: currentChannel, id: composeContext.id, message: message },
+      reportEventError,
+    );
+  } else if (privateChat) {
+    sendPrivateChatMessage(message);
+  } else {
+    signalingSocket.emit(
+      "chatMessage",
+      {
+        channel: currentChannel,
+        message: message,
+        replyTo: composeContext ? composeContext.id : undefined,
+      },
+      reportEventError,
+    );
+  }
+
+  cancelComposeContext();
+  elements.chatInput.value = "";
+  elements.chatInput.style.height = "auto";
+  setTyping(false);
+}
+
+/**
+ * Track typing in the chat input: "typing" goes out on the first
+ * keystroke and "stopped" once the input has been idle for a while
+ */
+function handleChatInputActivity() {
+  if (!elements.chatInput.value.trim()) {
+    setTyping(false);
     return;
   }
 
-  // Create peer connection with optimized settings
-  const peerConnection = new RTCPeerConnection({
-    iceServers: CONFIG.iceServers,
-    iceCandidatePoolSize: 2,
-    bundlePolicy: "max-bundle",
-    rtcpMuxPolicy: "require",
+  setTyping(true);
+  clearTimeout(typingTimer);
+  typingTimer = setTimeout(() => setTyping(false), CONFIG.typing.idleTimeout);
+}
+
+/**
+ * Tell the room whether we are typing, only when it changes
+ */
+function setTyping(typing) {
+  if (!typing) {
+    clearTimeout(typingTimer);
+    typingTimer = null;
+  }
+  if (typing === isTyping) return;
+
+  isTyping = typing;
+  if (signalingSocket && currentChannel) {
+    signalingSocket.emit("typingStatus", {
+      channel: currentChannel,
+      isTyping: typing,
+    });
+  }
+}
+
+/**
+ * Handle a peer starting or stopping typing
+ */
+function handlePeerTypingStatus(config) {
+  setPeerTyping(config.peer_id, config.isTyping);
+}
+
+/**
+ * Show or hide a peer in the typing indicator. A peer that goes quiet
+ * without saying so (e.g. it lost its connection) is dropped after a while.
+ */
+function setPeerTyping(peerId, typing) {
+  if (typingPeers[peerId]) {
+    clearTimeout(typingPeers[peerId].timer);
+    delete typingPeers[peerId];
+  }
+
+  if (typing) {
+    typingPeers[peerId] = {
+      timer: setTimeout(
+        () => setPeerTyping(peerId, false),
+        CONFIG.typing.expiry,
+      ),
+    };
+  }
+
+  updateTypingIndicator();
+}
+
+/**
+ * Render "Alice is typing…" under the message list
+ */
+function updateTypingIndicator() {
+  const names = Object.keys(typingPeers).map(
+    (peerId) => peerUsernames[peerId] || peerId.slice(0, 6),
+  );
+
+  let text = "";
+  if (names.length === 1) {
+    text = `${names[0]} is typing…`;
+  } else if (names.length === 2) {
+    text = `${names[0]} and ${names[1]} are typing…`;
+  } else if (names.length > 2) {
+    text = "Several people are typing…";
+  }
+
+  elements.typingIndicator.textContent = text;
+  elements.typingIndicator.classList.toggle("hidden", names.length === 0);
+}
+
+/**
+ * Watch a message row so a read receipt is sent once it has been on
+ * screen while the tab had focus
+ */
+function observeMessageSeen(element, id) {
+  // Only server messages have ids a receipt can point at
+  if (!Number.isInteger(id) || sentReceipts.has(id)) return;
+  if (!("IntersectionObserver" in window)) return;
+
+  if (!seenObserver) {
+    seenObserver = new IntersectionObserver(handleSeenEntries, {
+      root: elements.chatMessages,
+      threshold: CONFIG.readReceipts.visibleRatio,
+    });
+  }
+  seenObserver.observe(element);
+}
+
+/**
+ * Keep track of which unread messages are currently on screen
+ */
+function handleSeenEntries(entries) {
+  entries.forEach((entry) => {
+    if (entry.isIntersecting) {
+      visibleMessages.add(entry.target);
+    } else {
+      visibleMessages.delete(entry.target);
+    }
+  });
+  sendVisibleReceipts();
+}
+
+/**
+ * Queue receipts for the unread messages on screen, if the user can
+ * actually see them
+ */
+function sendVisibleReceipts() {
+  if (document.hidden || !document.hasFocus()) return;
+
+  visibleMessages.forEach((element) => {
+    visibleMessages.delete(element);
+    seenObserver.unobserve(element);
+
+    const id = Number(element.dataset.messageId);
+    if (!element.isConnected || sentReceipts.has(id)) return;
+
+    sentReceipts.add(id);
+    pendingReceipts.push(id);
+  });
+
+  if (pendingReceipts.length > 0 && !receiptTimer) {
+    receiptTimer = setTimeout(
+      flushReadReceipts,
+      CONFIG.readReceipts.flushDelay,
+    );
+  }
+}
+
+/**
+ * Send the receipts gathered since the last flush in one event
+ */
+function flushReadReceipts() {
+  receiptTimer = null;
+  if (!signalingSocket || !currentChannel || pendingReceipts.length === 0) {
+    return;
+  }
+
+  signalingSocket.emit("messagesSeen", {
+    channel: currentChannel,
+    ids: pendingReceipts,
+  });
+  pendingReceipts = [];
+}
+
+/**
+ * Forget all read receipt state, e.g. when leaving the room
+ */
+function clearReadReceipts() {
+  if (seenObserver) {
+    seenObserver.disconnect();
+    seenObserver = null;
+  }
+  clearTimeout(receiptTimer);
+  receiptTimer = null;
+  visibleMessages = new Set();
+  sentReceipts = new Set();
+  pendingReceipts = [];
+  messageSeenBy = new Map();
+}
+
+/**
+ * Handle a peer having seen some messages
+ */
+function handlePeerMessagesSeen(config) {
+  const name = peerUsernames[config.peer_id] || config.peer_id.slice(0, 6);
+
+  config.ids.forEach((id) => {
+    if (!messageSeenBy.has(id)) {
+      messageSeenBy.set(id, new Map());
+    }
+    messageSeenBy.get(id).set(config.peer_id, name);
+
+    const row = elements.chatMessages.querySelector(
+      `[data-message-id="${id}"]`,
+    );
+    if (row) {
+      updateSeenBy(row, id);
+    }
+  });
+}
+
+/**
+ * Fill in the "seen by" line shown under our own messages
+ */
+function updateSeenBy(row, id) {
+  const element = row.querySelector(".message-seen");
+  const seenBy = messageSeenBy.get(id);
+  if (!element || !seenBy) return;
+
+  const names = Array.from(seenBy.values());
+  element.textContent = `✓ Seen by ${names.length <= 2 ? names.join(", ") : `${names.length} people`}`;
+  element.title = `Seen by ${names.join(", ")}`;
+  element.classList.remove("hidden");
+}
+
+/**
+ * Handle a message being edited, deleted or reacted to: its row is
+ * replaced in place
+ */
+function handleChatMessageUpdate(config) {
+  const row = elements.chatMessages.querySelector(
+    `[data-message-id="${config.id}"]`,
+  );
+  if (row) {
+    row.replaceWith(createChatMessageElement(config));
+  } else {
+    chatMessageCache.set(config.id, config);
+  }
+
+  if (composeContext && composeContext.id === config.id && config.deleted) {
+    cancelComposeContext();
+  }
+}
+
+/**
+ * Start replying to a message
+ */
+function replyToMessage(id) {
+  const message = chatMessageCache.get(id);
+  if (!message) return;
+
+  setComposeContext(
+    { type: "reply", id: id },
+    `Replying to ${message.username}: ${message.message}`,
+  );
+}
+
+/**
+ * Load one of our messages into the input for editing
+ */
+function editChatMessage(id) {
+  const message = chatMessageCache.get(id);
+  if (!message) return;
+
+  setComposeContext({ type: "edit", id: id }, "Editing message");
+  elements.chatInput.value = message.message;
+}
+
+/**
+ * Delete one of our messages
+ */
+function deleteChatMessage(id) {
+  if (!confirm("Delete this message for everyone?")) return;
+
+  signalingSocket.emit(
+    "deleteMessage",
+    { channel: currentChannel, id: id },
+    reportEventError,
+  );
+}
+
+/**
+ * Add or remove our reaction on a message
+ */
+function reactToMessage(id, emoji) {
+  signalingSocket.emit(
+    "reactMessage",
+    { channel: currentChannel, id: id, emoji: emoji },
+    reportEventError,
+  );
+
+  const row = elements.chatMessages.querySelector(`[data-message-id="${id}"]`);
+  if (row) {
+    row.classList.remove("picking-reaction");
+  }
+}
+
+/**
+ * Show or hide the reaction picker of a message
+ */
+function toggleReactionPicker(id) {
+  const row = elements.chatMessages.querySelector(`[data-message-id="${id}"]`);
+  if (row) {
+    row.classList.toggle("picking-reaction");
+  }
+}
+
+/**
+ * Show what the next message will do (reply or edit) above the input
+ */
+function setComposeContext(context, text) {
+  composeContext = context;
+  elements.composeContextText.textContent = text;
+  elements.composeContext.classList.remove("hidden");
+  elements.chatInput.focus();
+}
+
+/**
+ * Go back to sending a plain new message
+ */
+function cancelComposeContext() {
+  if (composeContext && composeContext.type === "edit") {
+    elements.chatInput.value = "";
+  }
+  composeContext = null;
+  elements.composeContext.classList.add("hidden");
+}
+
+/**
+ * Send a chat message straight to every peer over its data channel, so
+ * the server never sees it. Peers without an open channel yet (still
+ * connecting, or a relayed room) get it through the server instead.
+ */
+function sendPrivateChatMessage(message) {
+  const entry = {
+    id: createMessageId(),
+    peer_id: localPeerId,
+    username: currentUsername,
+    message: message,
+    timestamp: Date.now(),
+    private: true,
+  };
+  const payload = JSON.stringify({
+    type: "chat",
+    id: entry.id,
+    message: entry.message,
+    timestamp: entry.timestamp,
   });
 
-  peers[peerId] = peerConnection;
+  const fallback = [];
+  for (const peerId in peerUsernames) {
+    const channel = peerChatChannels[peerId];
+    try {
+      if (channel && channel.readyState === "open") {
+        channel.send(payload);
+        continue;
+      }
+    } catch (error) {
+      log.warn("Data channel send failed for peer", {
+        peer: peerId,
+        error: error,
+      });
+    }
+    fallback.push(peerId);
+  }
+
+  if (fallback.length > 0) {
+    signalingSocket.emit(
+      "chatMessage",
+      {
+        channel: currentChannel,
+        id: entry.id,
+        message: message,
+        recipients: fallback,
+      },
+      reportEventError,
+    );
+    // Shown as such, since it didn't stay peer-to-peer
+    entry.relayed = true;
+  }
+
+  // Private messages aren't echoed back by the server
+  handleChatMessage(entry);
+}
 
-  // Add local stream tracks
-  if (localStream) {
-    localStream.getTracks().forEach((track) => {
-      peerConnection.addTrack(track, localStream);
-    });
-  }
+/**
+ * Wire up the chat data channel of a peer connection
+ */
+function setupChatChannel(peerId, channel) {
+  peerChatChannels[peerId] = channel;
 
-  // Handle ICE candidates
-  peerConnection.onicecandidate = (event) => {
-    if (event.candidate) {
-      signalingSocket.emit("relayICECandidate", {
+  channel.onmessage = (event) => {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      log.warn("Malformed data channel message", { peer: peerId });
+      return;
+    }
+
+    if (data.type === "chat" && typeof data.message === "string") {
+      handleChatMessage({
+        id: String(data.id),
         peer_id: peerId,
-        ice_candidate: {
-          sdpMLineIndex: event.candidate.sdpMLineIndex,
-          candidate: event.candidate.candidate,
-        },
+        username: peerUsernames[peerId] || peerId.slice(0, 6),
+        message: data.message,
+        timestamp: Number(data.timestamp) || Date.now(),
+        private: true,
       });
     }
   };
+}
 
-  // Handle remote tracks
-  peerConnection.ontrack = (event) => {
-    console.log("Received remote track from:", peerId);
-    handleRemoteTrack(peerId, peerUsername, event.streams[0]);
+/**
+ * Unique id for a private message, used to drop duplicates
+ */
+function createMessageId() {
+  return window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/**
+ * Wire up the file data channel of a peer connection. Whenever it opens
+ * (again), ask the peer to resume any file we were receiving.
+ */
+function setupFileChannel(peerId, channel) {
+  peerFileChannels[peerId] = channel;
+  channel.binaryType = "arraybuffer";
+  channel.bufferedAmountLowThreshold = CONFIG.files.bufferedAmountLowThreshold;
+
+  channel.onopen = () => {
+    for (const fileId in incomingFiles) {
+      const transfer = incomingFiles[fileId];
+      if (transfer.peerId !== peerId || transfer.complete) continue;
+
+      channel.send(
+        JSON.stringify({
+          type: "file-resume",
+          id: fileId,
+          offset: transfer.received,
+        }),
+      );
+    }
   };
 
-  // Handle connection state changes
-  peerConnection.onconnectionstatechange = () => {
-    console.log(
-      `Peer ${peerId} connection state:`,
-      peerConnection.connectionState,
-    );
-    updatePeerConnectionStatus(peerId, peerConnection.connectionState);
+  channel.onclose = () => {
+    for (const fileId in incomingFiles) {
+      const transfer = incomingFiles[fileId];
+      if (transfer.peerId === peerId && !transfer.complete) {
+        transfer.status = "Paused, waiting for the connection...";
+        updateFileProgress(transfer);
+      }
+    }
   };
 
-  // Add peer to UI
-  addPeerToUI(peerId, peerUsername);
+  channel.onmessage = (event) => {
+    if (typeof event.data === "string") {
+      handleFileControl(peerId, event.data);
+    } else {
+      handleFileChunk(peerId, event.data);
+    }
+  };
+}
 
-  // Create offer if we should initiate
-  if (config.should_create_offer) {
-    try {
-      const offer = await peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: false,
-      });
+/**
+ * Offer a file to every peer we have a data channel with
+ */
+function sendFile(file) {
+  if (file.size > CONFIG.files.maxSize) {
+    showSystemMessage(
+      `${file.name} is too large to share (limit ${formatBytes(CONFIG.files.maxSize)})`,
+    );
+    return;
+  }
 
-      // Modify SDP to set audio bitrate
-      const modifiedOffer = {
-        type: offer.type,
-        sdp: setAudioBitrate(
-          offer.sdp,
-          CONFIG.quality[selectedQuality].maxBitrate,
-        ),
-      };
+  const peerIds = Object.keys(peerFileChannels).filter(
+    (peerId) => peerFileChannels[peerId].readyState === "open",
+  );
+  if (peerIds.length === 0) {
+    showSystemMessage(
+      "File sharing needs a peer-to-peer connection to at least one participant",
+    );
+    return;
+  }
 
-      await peerConnection.setLocalDescription(modifiedOffer);
+  const transfer = {
+    id: createMessageId(),
+    file: file,
+    name: file.name,
+    size: file.size,
+    mime: file.type || "application/octet-stream",
+    peers: {},
+    outgoing: true,
+  };
+  outgoingFiles[transfer.id] = transfer;
+
+  const offer = JSON.stringify({
+    type: "file-offer",
+    id: transfer.id,
+    name: transfer.name,
+    size: transfer.size,
+    mime: transfer.mime,
+  });
+  peerIds.forEach((peerId) => {
+    transfer.peers[peerId] = { offset: 0, done: false, sending: false };
+    peerFileChannels[peerId].send(offer);
+  });
 
-      signalingSocket.emit("relaySessionDescription", {
-        peer_id: peerId,
-        session_description: peerConnection.localDescription,
-      });
-    } catch (error) {
-      console.error("Error creating offer:", error);
-    }
+  transfer.element = createFileMessageElement(transfer, currentUsername);
+  appendChatElement(transfer.element);
+  updateFileProgress(transfer);
+}
+
+/**
+ * Handle a JSON control message on a file channel
+ */
+function handleFileControl(peerId, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    log.warn("Malformed file channel message", { peer: peerId });
+    return;
+  }
+
+  if (data.type === "file-offer") {
+    handleFileOffer(peerId, data);
+  } else if (data.type === "file-resume") {
+    // The receiver tells us where to (re)start; ids we don't know belong
+    // to someone else's transfer
+    const transfer = outgoingFiles[data.id];
+    if (!transfer) return;
+
+    const peerTransfer = transfer.peers[peerId] || {
+      done: false,
+      sending: false,
+    };
+    peerTransfer.offset = Math.max(0, Number(data.offset) || 0);
+    peerTransfer.done = false;
+    transfer.peers[peerId] = peerTransfer;
+    pumpFile(peerId, transfer);
+  } else if (data.type === "file-done") {
+    const transfer = outgoingFiles[data.id];
+    if (!transfer || !transfer.peers[peerId]) return;
+
+    transfer.peers[peerId].done = true;
+    updateFileProgress(transfer);
   }
 }
 
 /**
- * Handle removing a peer
+ * Accept a file a peer is offering and ask for it from the start
  */
-function handleRemovePeer(config) {
-  console.log("Removing peer:", config);
+function handleFileOffer(peerId, data) {
+  const size = Number(data.size);
+  if (
+    typeof data.id !== "string" ||
+    incomingFiles[data.id] ||
+    !Number.isFinite(size) ||
+    size < 0 ||
+    size > CONFIG.files.maxSize
+  ) {
+    return;
+  }
 
-  const peerId = config.peer_id;
+  const transfer = {
+    id: data.id,
+    peerId: peerId,
+    name: String(data.name || "file"),
+    size: size,
+    mime: String(data.mime || "application/octet-stream"),
+    chunks: [],
+    received: 0,
+    complete: false,
+    status: null,
+  };
+  incomingFiles[transfer.id] = transfer;
 
-  // Close peer connection
-  if (peers[peerId]) {
-    peers[peerId].close();
-    delete peers[peerId];
+  transfer.element = createFileMessageElement(
+    transfer,
+    peerUsernames[peerId] || peerId.slice(0, 6),
+  );
+  appendChatElement(transfer.element);
+
+  peerFileChannels[peerId].send(
+    JSON.stringify({ type: "file-resume", id: transfer.id, offset: 0 }),
+  );
+
+  if (size === 0) {
+    finishIncomingFile(transfer);
+  } else {
+    updateFileProgress(transfer);
   }
+}
 
-  // Remove audio element
-  if (peerAudioElements[peerId]) {
-    peerAudioElements[peerId].remove();
-    delete peerAudioElements[peerId];
+/**
+ * Send a file to one peer from its current offset, paced by the file
+ * bitrate of the current quality preset and by the channel's buffer
+ */
+async function pumpFile(peerId, transfer) {
+  const peerTransfer = transfer.peers[peerId];
+  if (peerTransfer.sending) return;
+  peerTransfer.sending = true;
+
+  try {
+    while (peerTransfer.offset < transfer.size && !peerTransfer.done) {
+      const channel = peerFileChannels[peerId];
+      if (!channel || channel.readyState !== "open") break;
+
+      if (channel.bufferedAmount > CONFIG.files.maxBufferedAmount) {
+        await waitForBufferedAmountLow(channel);
+        continue;
+      }
+
+      const offset = peerTransfer.offset;
+      const data = await transfer.file
+        .slice(offset, offset + CONFIG.files.chunkSize)
+        .arrayBuffer();
+
+      await waitForFileBudget(data.byteLength);
+      if (channel.readyState !== "open" || peerTransfer.offset !== offset) {
+        continue;
+      }
+
+      channel.send(encodeFileChunk(transfer.id, offset, data));
+      peerTransfer.offset = offset + data.byteLength;
+      updateFileProgress(transfer);
+    }
+  } catch (error) {
+    log.error("Error sending file to peer", { peer: peerId, error: error });
+  } finally {
+    peerTransfer.sending = false;
   }
+}
 
-  // Remove from UI
-  removePeerFromUI(peerId);
+/**
+ * Wait until a data channel has drained below its low-water mark
+ */
+function waitForBufferedAmountLow(channel) {
+  return new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener("bufferedamountlow", done);
+      channel.removeEventListener("close", done);
+      resolve();
+    };
+    channel.addEventListener("bufferedamountlow", done);
+    channel.addEventListener("close", done);
+  });
 }
 
 /**
- * Handle session description from remote peer
+ * Hold a chunk back until the shared file send rate allows it. All
+ * transfers draw from one budget so the Opus stream keeps its bandwidth.
  */
-async function handleSessionDescription(config) {
-  const peerId = config.peer_id;
-  const remoteDescription = config.session_description;
+async function waitForFileBudget(bytes) {
+  const now = performance.now();
+  const sendAt = Math.max(now, nextFileSendAt);
+  nextFileSendAt = sendAt + (bytes * 8 * 1000) / getFileBitrate();
 
-  console.log(
-    "Received session description from:",
-    peerId,
-    remoteDescription.type,
+  if (sendAt > now) {
+    await new Promise((resolve) => setTimeout(resolve, sendAt - now));
+  }
+}
+
+/**
+ * The shared file send rate: a share of the audio bitrate, following the
+ * adaptive bitrate down when it has stepped down for any peer, so files
+ * always take less of the link than the voice stream
+ */
+function getFileBitrate() {
+  const audio = Math.min(
+    CONFIG.quality[selectedQuality].maxBitrate,
+    ...Object.values(peerBitrates).map((state) => state.bitrate),
   );
+  return audio * CONFIG.files.bitrateShare;
+}
 
-  const peerConnection = peers[peerId];
-  if (!peerConnection) {
-    console.error("No peer connection for:", peerId);
+/**
+ * Store a chunk of an incoming file. Chunks are only taken in order, so
+ * anything repeated after a resume is dropped.
+ */
+function handleFileChunk(peerId, buffer) {
+  const chunk = decodeFileChunk(buffer);
+  const transfer = chunk && incomingFiles[chunk.id];
+  if (!transfer || transfer.complete || chunk.offset !== transfer.received) {
     return;
   }
 
-  try {
-    await peerConnection.setRemoteDescription(
-      new RTCSessionDescription(remoteDescription),
+  transfer.peerId = peerId;
+  transfer.status = null;
+  transfer.chunks.push(chunk.data);
+  transfer.received += chunk.data.byteLength;
+
+  if (transfer.received >= transfer.size) {
+    finishIncomingFile(transfer);
+  } else {
+    updateFileProgress(transfer);
+  }
+}
+
+/**
+ * Assemble a received file, show it, and let the sender know
+ */
+function finishIncomingFile(transfer) {
+  transfer.complete = true;
+  transfer.blob = new Blob(transfer.chunks, { type: transfer.mime });
+  transfer.url = URL.createObjectURL(transfer.blob);
+  transfer.chunks = [];
+  updateFileProgress(transfer);
+
+  const channel = peerFileChannels[transfer.peerId];
+  if (channel && channel.readyState === "open") {
+    channel.send(JSON.stringify({ type: "file-done", id: transfer.id }));
+  }
+}
+
+/**
+ * Binary chunk layout: id length (1 byte), id, offset (float64), data
+ */
+function encodeFileChunk(fileId, offset, data) {
+  const id = new TextEncoder().encode(fileId);
+  const chunk = new Uint8Array(1 + id.length + 8 + data.byteLength);
+  chunk[0] = id.length;
+  chunk.set(id, 1);
+  new DataView(chunk.buffer).setFloat64(1 + id.length, offset);
+  chunk.set(new Uint8Array(data), 1 + id.length + 8);
+  return chunk.buffer;
+}
+
+/**
+ * Read a binary chunk back into its id, offset and data
+ */
+function decodeFileChunk(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const headerLength = 1 + bytes[0] + 8;
+  if (bytes.length < headerLength) return null;
+
+  return {
+    id: new TextDecoder().decode(bytes.subarray(1, 1 + bytes[0])),
+    offset: new DataView(buffer).getFloat64(1 + bytes[0]),
+    data: buffer.slice(headerLength),
+  };
+}
+
+/**
+ * Create the chat entry for a file being sent or received
+ */
+function createFileMessageElement(transfer, username) {
+  const messageElement = document.createElement("div");
+  messageElement.className = "chat-message file";
+  messageElement.innerHTML = `
+    <span class="message-author ${transfer.outgoing ? "me" : ""}">${escapeHtml(username)}:</span>
+    <span class="message-text">📎 ${escapeHtml(transfer.name)} (${formatBytes(transfer.size)})</span>
+    <span class="message-time">${formatTime(Date.now())}</span>
+    <div class="file-transfer">
+      <progress class="file-progress" max="1" value="0"></progress>
+      <span class="file-status"></span>
+    </div>
+  `;
+  return messageElement;
+}
+
+/**
+ * Refresh the progress bar, status and, once done, the download link
+ * and image preview of a file entry
+ */
+function updateFileProgress(transfer) {
+  const element = transfer.element;
+  if (!element) return;
+
+  const progress = element.querySelector(".file-progress");
+  const status = element.querySelector(".file-status");
+
+  if (transfer.outgoing) {
+    const peerTransfers = Object.values(transfer.peers);
+    const sent = peerTransfers.reduce(
+      (total, peerTransfer) =>
+        total + (peerTransfer.done ? transfer.size : peerTransfer.offset),
+      0,
     );
+    const total = transfer.size * peerTransfers.length;
+    const done = peerTransfers.filter((p) => p.done).length;
+
+    progress.value = total > 0 ? sent / total : 1;
+    status.textContent =
+      done === peerTransfers.length
+        ? `Sent to ${done} ${done === 1 ? "person" : "people"}`
+        : `Sending... ${formatPercent((progress.value || 0) * 100)}`;
+    return;
+  }
 
-    // If this was an offer, create and send an answer
-    if (remoteDescription.type === "offer") {
-      const answer = await peerConnection.createAnswer();
+  if (!transfer.complete) {
+    progress.value = transfer.size > 0 ? transfer.received / transfer.size : 0;
+    status.textContent =
+      transfer.status || `Receiving... ${formatPercent(progress.value * 100)}`;
+    return;
+  }
 
-      // Modify SDP to set audio bitrate
-      const modifiedAnswer = {
-        type: answer.type,
-        sdp: setAudioBitrate(
-          answer.sdp,
-          CONFIG.quality[selectedQuality].maxBitrate,
-        ),
-      };
+  // Complete: swap the progress bar for a download link and preview
+  const container = element.querySelector(".file-transfer");
+  container.innerHTML = "";
 
-      await peerConnection.setLocalDescription(modifiedAnswer);
+  if (transfer.mime.startsWith("image/")) {
+    const image = document.createElement("img");
+    image.className = "file-preview";
+    image.src = transfer.url;
+    image.alt = transfer.name;
+    container.appendChild(image);
+  }
 
-      signalingSocket.emit("relaySessionDescription", {
-        peer_id: peerId,
-        session_description: peerConnection.localDescription,
-      });
+  const link = document.createElement("a");
+  link.className = "file-download";
+  link.href = transfer.url;
+  link.download = transfer.name;
+  link.textContent = "Download";
+  container.appendChild(link);
+}
+
+/**
+ * Drop all file transfers, e.g. when leaving the room
+ */
+function clearFileTransfers() {
+  for (const fileId in incomingFiles) {
+    if (incomingFiles[fileId].url) {
+      URL.revokeObjectURL(incomingFiles[fileId].url);
     }
-  } catch (error) {
-    console.error("Error handling session description:", error);
   }
+  incomingFiles = {};
+  outgoingFiles = {};
 }
 
 /**
- * Handle ICE candidate from remote peer
+ * Append an element to the chat, removing the placeholder
  */
-async function handleIceCandidate(config) {
-  const peerId = config.peer_id;
-  const candidate = config.ice_candidate;
+function appendChatElement(element) {
+  const placeholder = elements.chatMessages.querySelector(".chat-placeholder");
+  if (placeholder) {
+    placeholder.remove();
+  }
 
-  const peerConnection = peers[peerId];
-  if (!peerConnection) return;
+  elements.chatMessages.appendChild(element);
+  elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+}
 
-  try {
-    await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-  } catch (error) {
-    console.error("Error adding ICE candidate:", error);
+/**
+ * Switch between server chat and private peer-to-peer chat
+ */
+function setPrivateChat(enabled) {
+  privateChat = enabled;
+  localStorage.setItem("privateChat", privateChat);
+  updatePrivateChatUI();
+}
+
+/**
+ * Reflect the chat mode on the toggle and the input placeholder
+ */
+function updatePrivateChatUI() {
+  elements.privateChatBtn.classList.toggle("active", privateChat);
+  elements.chatInput.placeholder = privateChat
+    ? "Private message (peer-to-peer)..."
+    : "Type a message...";
+}
+
+/**
+ * Handle incoming chat message
+ */
+function handleChatMessage(config) {
+  // The same private message can arrive over a data channel and the server
+  if (config.private) {
+    if (seenPrivateMessages.has(config.id)) return;
+    seenPrivateMessages.add(config.id);
+  }
+
+  // Remove placeholder if present
+  const placeholder = elements.chatMessages.querySelector(".chat-placeholder");
+  if (placeholder) {
+    placeholder.remove();
+  }
+
+  elements.chatMessages.appendChild(createChatMessageElement(config));
+  setPeerTyping(config.peer_id, false);
+
+  if (config.peer_id !== localPeerId) {
+    notifyChatMessage(config);
+  }
+
+  // Only server history has ids to page back through
+  if (!config.private) {
+    if (oldestMessageId === null) {
+      oldestMessageId = config.id;
+    }
+    newestMessageId = config.id;
+  }
+
+  // Scroll to bottom
+  elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+}
+
+/**
+ * Handle a page of chat history from the server.
+ * The page sent on join replaces the message list; older pages are
+ * inserted above it without moving what's on screen.
+ */
+function handleChatHistory(config) {
+  const messages = config.messages || [];
+
+  if (config.before === null && historyLoaded) {
+    // Catching up after a reconnect: only add what we missed
+    messages
+      .filter((message) => message.id > (newestMessageId || 0))
+      .forEach(handleChatMessage);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  messages.forEach((message) => {
+    fragment.appendChild(createChatMessageElement(message));
+  });
+
+  if (config.before === null) {
+    historyLoaded = true;
+    elements.chatMessages.innerHTML = "";
+    if (messages.length > 0) {
+      elements.chatMessages.appendChild(fragment);
+    } else {
+      elements.chatMessages.innerHTML =
+        '<p class="chat-placeholder">No messages yet...</p>';
+    }
+    elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+  } else {
+    const previousHeight = elements.chatMessages.scrollHeight;
+    elements.chatMessages.insertBefore(
+      fragment,
+      elements.chatMessages.querySelector(".chat-message"),
+    );
+    elements.chatMessages.scrollTop +=
+      elements.chatMessages.scrollHeight - previousHeight;
+  }
+
+  if (messages.length > 0) {
+    oldestMessageId = messages[0].id;
+    newestMessageId = Math.max(
+      newestMessageId || 0,
+      messages[messages.length - 1].id,
+    );
+  }
+  hasOlderMessages = config.hasMore;
+  loadingOlderMessages = false;
+  updateLoadOlderButton();
+}
+
+/**
+ * Ask the server for the page of messages before the oldest one shown
+ */
+function loadOlderMessages() {
+  if (
+    loadingOlderMessages ||
+    !hasOlderMessages ||
+    oldestMessageId === null ||
+    !signalingSocket
+  ) {
+    return;
   }
+
+  loadingOlderMessages = true;
+  updateLoadOlderButton();
+
+  signalingSocket.emit(
+    "loadChatHistory",
+    { channel: currentChannel, before: oldestMessageId },
+    (response) => {
+      // On success the page arrives as a chatHistory event
+      if (response && !response.ok) {
+        loadingOlderMessages = false;
+        updateLoadOlderButton();
+        reportEventError(response);
+      }
+    },
+  );
 }
 
 /**
- * Handle remote audio track
+ * Show the "load older messages" button at the top of the chat while
+ * the server has more history
  */
-function handleRemoteTrack(peerId, peerUsername, stream) {
-  // Create audio element
-  const audio = document.createElement("audio");
-  audio.id = `audio-${peerId}`;
-  audio.autoplay = true;
-  audio.srcObject = stream;
+function updateLoadOlderButton() {
+  let button = elements.chatMessages.querySelector(".load-older-btn");
 
-  // Add to container
-  elements.audioContainer.appendChild(audio);
-  peerAudioElements[peerId] = audio;
+  if (!hasOlderMessages) {
+    if (button) {
+      button.remove();
+    }
+    return;
+  }
+
+  if (!button) {
+    button = document.createElement("button");
+    button.className = "load-older-btn";
+    button.addEventListener("click", loadOlderMessages);
+    elements.chatMessages.prepend(button);
+  }
 
-  console.log("Remote audio element created for:", peerUsername);
+  button.disabled = loadingOlderMessages;
+  button.textContent = loadingOlderMessages
+    ? "Loading..."
+    : "Load older messages";
 }
 
 /**
- * Modify SDP to set audio bitrate for Opus codec
+ * Build the DOM row for a chat message
  */
-function setAudioBitrate(sdp, bitrate) {
-  const lines = sdp.split("\r\n");
-  const result = [];
+function createChatMessageElement(config) {
+  const messageElement = document.createElement("div");
+  messageElement.className = config.private
+    ? "chat-message private"
+    : "chat-message";
 
-  for (let i = 0; i < lines.length; i++) {
-    result.push(lines[i]);
+  const isMe = config.peer_id === localPeerId;
+  if (!isMe && !config.deleted && mentionsMe(config.message)) {
+    messageElement.classList.add("mentions-me");
+  }
 
-    // Find audio m-line and add bandwidth attribute
-    if (lines[i].startsWith("m=audio")) {
-      // Add TIAS (Transport Independent Application Specific) bandwidth
-      result.push(`b=TIAS:${bitrate}`);
-    }
+  // Private messages aren't kept by the server, so they can't be changed
+  if (config.private) {
+    const lock = config.relayed
+      ? '<span class="message-private" title="No peer-to-peer connection, so this went through the server (not stored)">🔓</span>'
+      : '<span class="message-private" title="Sent peer-to-peer, not through the server">🔒</span>';
+    const relayed = config.relayed
+      ? '<span class="message-relayed">(via server)</span>'
+      : "";
+    messageElement.innerHTML = `
+      ${lock}
+      <span class="message-author ${isMe ? "me" : ""}">${escapeHtml(config.username || "Unknown")}:</span>
+      <span class="message-text">${formatMessage(config.message)}</span>
+      ${relayed}
+      <span class="message-time">${formatTime(config.timestamp)}</span>
+    `;
+    return messageElement;
+  }
 
-    // Modify Opus fmtp line to add bitrate constraints
-    if (lines[i].includes("opus/48000")) {
-      // Find the payload type
-      const match = lines[i].match(/a=rtpmap:(\d+) opus/);
-      if (match) {
-        const pt = match[1];
-        // Look for existing fmtp line
-        for (let j = i + 1; j < lines.length; j++) {
-          if (lines[j].startsWith(`a=fmtp:${pt}`)) {
-            // Modify the fmtp line
-            if (!lines[j].includes("maxaveragebitrate")) {
-              lines[j] +=
-                `;maxaveragebitrate=${bitrate};maxplaybackrate=${CONFIG.quality[selectedQuality].sampleRate};useinbandfec=1;usedtx=1;cbr=0`;
-            }
-            break;
-          }
-        }
-      }
-    }
+  const id = Number(config.id);
+  messageElement.dataset.messageId = id;
+  chatMessageCache.set(id, config);
+
+  const reply = config.replyTo
+    ? `<div class="message-reply">↪ <strong>${escapeHtml(config.replyTo.username)}</strong>: ${escapeHtml(config.replyTo.message)}</div>`
+    : "";
+  const text = config.deleted
+    ? '<span class="message-text deleted">Message deleted</span>'
+    : `<span class="message-text">${formatMessage(config.message)}</span>`;
+  const edited =
+    config.edited && !config.deleted
+      ? `<span class="message-edited" title="Edited ${formatTime(config.edited)}">(edited)</span>`
+      : "";
+
+  const reactions = CONFIG.reactions
+    .filter((emoji) => config.reactions && config.reactions[emoji])
+    .map((emoji) => {
+      const peers = config.reactions[emoji];
+      const mine = peers.includes(localPeerId) ? "mine" : "";
+      return `<button class="reaction-chip ${mine}" onclick="reactToMessage(${id}, '${emoji}')">${emoji} ${peers.length}</button>`;
+    })
+    .join("");
+
+  const actions = config.deleted
+    ? ""
+    : `
+      <div class="message-actions">
+        <button onclick="replyToMessage(${id})" title="Reply">↩</button>
+        <button onclick="toggleReactionPicker(${id})" title="React">😊</button>
+        ${isMe ? `<button onclick="editChatMessage(${id})" title="Edit">✏️</button>` : ""}
+        ${isMe ? `<button onclick="deleteChatMessage(${id})" title="Delete">🗑</button>` : ""}
+      </div>
+      <div class="reaction-picker">
+        ${CONFIG.reactions.map((emoji) => `<button onclick="reactToMessage(${id}, '${emoji}')">${emoji}</button>`).join("")}
+      </div>
+    `;
+
+  messageElement.innerHTML = `
+    ${reply}
+    <span class="message-author ${isMe ? "me" : ""}">${escapeHtml(config.username || "Unknown")}:</span>
+    ${text}
+    ${edited}
+    <span class="message-time">${formatTime(config.timestamp)}</span>
+    ${isMe ? '<span class="message-seen hidden"></span>' : ""}
+    ${reactions ? `<div class="message-reactions">${reactions}</div>` : ""}
+    ${actions}
+  `;
+
+  if (isMe) {
+    updateSeenBy(messageElement, id);
+  } else if (!config.deleted) {
+    observeMessageSeen(messageElement, id);
   }
 
-  return result.join("\r\n");
+  return messageElement;
 }
 
 /**
- * Add peer to the UI
+ * Show a notice from the app (not from a participant) in the chat
  */
-function addPeerToUI(peerId, username) {
-  // Remove placeholder if present
-  const placeholder = elements.peersList.querySelector(".peers-placeholder");
+function showSystemMessage(text) {
+  const placeholder = elements.chatMessages.querySelector(".chat-placeholder");
   if (placeholder) {
     placeholder.remove();
   }
 
-  // Check if already exists
-  if (document.getElementById(`peer-${peerId}`)) return;
+  const messageElement = document.createElement("div");
+  messageElement.className = "chat-message system";
+  messageElement.textContent = text;
+  elements.chatMessages.appendChild(messageElement);
+  elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+}
 
-  const peerElement = document.createElement("div");
-  peerElement.id = `peer-${peerId}`;
-  peerElement.className = "peer-item";
-  peerElement.innerHTML = `
-    <div class="peer-info">
-      <span class="peer-name">${escapeHtml(username)}</span>
-      <span class="peer-status connecting">Connecting...</span>
-      <span class="peer-speaking hidden">🎤</span>
-    </div>
-    <div class="peer-controls">
-      <button class="peer-mute-btn" onclick="togglePeerMute('${peerId}')" title="Mute/Unmute">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-          <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>
-        </svg>
-      </button>
-      <input type="range" class="peer-volume" min="0" max="100" value="100"
-             onchange="setPeerVolume('${peerId}', this.value)" title="Volume">
-    </div>
-  `;
+/**
+ * Acknowledgement callback for actions the user took: if the server
+ * refused the action (e.g. rate limited), say why in the chat
+ */
+function reportEventError(response) {
+  if (response && !response.ok) {
+    showSystemMessage(`⚠ ${response.message}`);
+  }
+}
 
-  elements.peersList.appendChild(peerElement);
+/**
+ * Format timestamp for chat messages
+ */
+function formatTime(timestamp) {
+  if (!timestamp) return "";
+  const date = new Date(timestamp);
+  return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 }
 
 /**
- * Remove peer from the UI
+ * Format a bitrate in bits per second for the stats panel
  */
-function removePeerFromUI(peerId) {
-  const peerElement = document.getElementById(`peer-${peerId}`);
-  if (peerElement) {
-    peerElement.remove();
-  }
+function formatBitrate(bitrate) {
+  if (bitrate === null || bitrate === undefined) return "–";
+  return `${(bitrate / 1000).toFixed(1)} kbps`;
+}
 
-  // Show placeholder if no peers left
-  if (elements.peersList.children.length === 0) {
-    elements.peersList.innerHTML =
-      '<p class="peers-placeholder">Waiting for others to join...</p>';
-  }
+/**
+ * Format a duration in milliseconds as m:ss
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
 }
 
 /**
- * Update peer connection status in UI
+ * Format a file size
  */
-function updatePeerConnectionStatus(peerId, state) {
-  const peerElement = document.getElementById(`peer-${peerId}`);
-  if (!peerElement) return;
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-  const statusElement = peerElement.querySelector(".peer-status");
-  if (statusElement) {
-    statusElement.className = `peer-status ${state}`;
-    switch (state) {
-      case "connected":
-        statusElement.textContent = "Connected";
-        break;
-      case "connecting":
-        statusElement.textContent = "Connecting...";
-        break;
-      case "disconnected":
-        statusElement.textContent = "Disconnected";
-        break;
-      case "failed":
-        statusElement.textContent = "Failed";
-        break;
-      default:
-        statusElement.textContent = state;
-    }
-  }
+/**
+ * Format a percentage for the stats panel
+ */
+function formatPercent(value) {
+  if (value === null || value === undefined) return "–";
+  return `${value.toFixed(1)}%`;
 }
 
 /**
- * Handle user list from server
+ * Format a duration in milliseconds for the stats panel
  */
-function handleUserList(users) {
-  console.log("User list:", users);
-  // Users are added via addPeer events, this is just for initial state
+function formatMs(value) {
+  if (value === null || value === undefined) return "–";
+  return `${Math.round(value)} ms`;
 }
 
 /**
- * Toggle local mute
+ * Turn a chat message into HTML with `code`, ```code blocks```, **bold**,
+ * *italic*, links and @mentions. Formatting runs on the escaped text, so
+ * nothing the sender types can become markup of its own.
  */
-function toggleMute() {
-  isMuted = !isMuted;
+function formatMessage(text) {
+  // Finished fragments are parked behind placeholders so later rules
+  // can't reach inside code, links or mentions
+  const parked = [];
+  const park = (html) => `\u0000${parked.push(html) - 1}\u0000`;
 
-  if (localStream) {
-    localStream.getAudioTracks().forEach((track) => {
-      track.enabled = !isMuted;
-    });
-  }
+  let html = escapeHtml(String(text).replace(/\u0000/g, ""));
 
-  // Update UI
-  elements.muteBtn.classList.toggle("muted", isMuted);
-  elements.micOnIcon.classList.toggle("hidden", isMuted);
-  elements.micOffIcon.classList.toggle("hidden", !isMuted);
-  elements.localSpeaking.classList.add("hidden");
+  html = html.replace(/```\n?([\s\S]+?)```/g, (match, code) =>
+    park(`<code class="code-block">${code}</code>`),
+  );
+  html = html.replace(/`([^`\n]+)`/g, (match, code) =>
+    park(`<code>${code}</code>`),
+  );
 
-  // Notify peers
-  if (signalingSocket && currentChannel) {
-    signalingSocket.emit("muteStatus", {
-      channel: currentChannel,
-      isMuted: isMuted,
+  // Quotes are excluded so a link can never break out of its attribute
+  html = html.replace(/\bhttps?:\/\/[^\s<>"']+/g, (match) => {
+    const url = match.replace(/[.,!?;:)\]]+$/, "");
+    const link = `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`;
+    return park(link) + match.slice(url.length);
+  });
+
+  const mention = getMentionPattern();
+  if (mention) {
+    html = html.replace(mention, (match, name) => {
+      const me =
+        name.toLowerCase() === escapeHtml(currentUsername).toLowerCase();
+      return park(`<span class="mention ${me ? "me" : ""}">@${name}</span>`);
     });
   }
+
+  html = html.replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>");
+  html = html.replace(/(^|[^\w*])\*(?=\S)(.+?)\*(?!\w)/g, "$1<em>$2</em>");
+  html = html.replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, "$1<em>$2</em>");
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => parked[index]);
 }
 
 /**
- * Set input volume (gain)
+ * Build a pattern matching an @mention of anyone in the room, longest
+ * name first so "@Sam Smith" wins over "@Sam". Works on escaped text.
  */
-function setInputVolume(volume) {
-  // This would require a GainNode in the audio pipeline
-  // For now, we just log it
-  console.log("Input volume set to:", volume);
+function getMentionPattern() {
+  const names = [currentUsername, ...Object.values(peerUsernames)]
+    .filter(Boolean)
+    .map((name) => escapeHtml(name).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .sort((a, b) => b.length - a.length);
+  if (names.length === 0) return null;
+
+  return new RegExp(`@(${names.join("|")})(?![\\w])`, "gi");
 }
 
 /**
- * Toggle peer mute
+ * Check whether a message mentions the local user
  */
-function togglePeerMute(peerId) {
-  const audio = peerAudioElements[peerId];
-  if (audio) {
-    audio.muted = !audio.muted;
+function mentionsMe(text) {
+  if (!currentUsername || !text) return false;
 
-    const btn = document.querySelector(`#peer-${peerId} .peer-mute-btn`);
-    if (btn) {
-      btn.classList.toggle("muted", audio.muted);
-    }
-  }
+  const name = currentUsername.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`@${name}(?![\\w])`, "i").test(text);
 }
 
 /**
- * Set peer volume
+ * Alert the user about a message from someone else: it counts as unread
+ * while the tab is in the background, and mentions or (if enabled) any
+ * message raise a notification
  */
-function setPeerVolume(peerId, volume) {
-  const audio = peerAudioElements[peerId];
-  if (audio) {
-    audio.volume = volume / 100;
+function notifyChatMessage(config) {
+  if (!isPageActive()) {
+    unreadCount++;
+    updateTitle();
+  }
+
+  const username = config.username || "Someone";
+
+  if (notificationSettings.mentions && mentionsMe(config.message)) {
+    playChime([880, 1320]);
+    showNotification(
+      `${username} mentioned you in ${currentChannel}`,
+      config.message,
+      `message-${config.id}`,
+    );
+  } else if (notificationSettings.messages) {
+    showNotification(
+      `${username} in ${currentChannel}`,
+      config.message,
+      `message-${config.id}`,
+    );
   }
 }
 
 /**
- * Handle peer mute status update
+ * Alert the user about someone joining or leaving the room
  */
-function handlePeerMuteStatus(config) {
-  const peerElement = document.getElementById(`peer-${config.peer_id}`);
-  if (peerElement) {
-    peerElement.classList.toggle("peer-muted", config.isMuted);
+function notifyPresence(username, joined) {
+  if (notificationSettings.presenceSounds) {
+    playChime(joined ? [660, 880] : [880, 660]);
+  }
+  if (notificationSettings.presence) {
+    showNotification(
+      `${username} ${joined ? "joined" : "left"} ${currentChannel}`,
+      "",
+      `presence-${username}`,
+    );
   }
 }
 
 /**
- * Handle peer speaking status update
+ * Show a desktop notification, only while the tab is in the background
  */
-function handlePeerSpeakingStatus(config) {
-  const peerElement = document.getElementById(`peer-${config.peer_id}`);
-  if (peerElement) {
-    const speakingIndicator = peerElement.querySelector(".peer-speaking");
-    if (speakingIndicator) {
-      speakingIndicator.classList.toggle("hidden", !config.isSpeaking);
-    }
-    peerElement.classList.toggle("speaking", config.isSpeaking);
+function showNotification(title, body, tag) {
+  if (
+    isPageActive() ||
+    !("Notification" in window) ||
+    Notification.permission !== "granted"
+  ) {
+    return;
   }
+
+  const notification = new Notification(title, { body: body, tag: tag });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
 }
 
 /**
- * Send a chat message
+ * Whether the user is looking at this tab
  */
-function sendChatMessage() {
-  const message = elements.chatInput.value.trim();
-  if (!message || !signalingSocket || !currentChannel) return;
-
-  signalingSocket.emit("chatMessage", {
-    channel: currentChannel,
-    message: message,
-  });
+function isPageActive() {
+  return !document.hidden && document.hasFocus();
+}
 
-  elements.chatInput.value = "";
-  elements.chatInput.style.height = "auto";
+/**
+ * Whether any desktop notification type is turned on
+ */
+function wantsDesktopNotifications() {
+  return (
+    notificationSettings.messages ||
+    notificationSettings.mentions ||
+    notificationSettings.presence
+  );
 }
 
 /**
- * Handle incoming chat message
+ * Ask for permission to show desktop notifications; needs a user gesture
  */
-function handleChatMessage(config) {
-  // Remove placeholder if present
-  const placeholder = elements.chatMessages.querySelector(".chat-placeholder");
-  if (placeholder) {
-    placeholder.remove();
+function requestNotificationPermission() {
+  if ("Notification" in window && Notification.permission === "default") {
+    Notification.requestPermission();
   }
+}
 
-  const messageElement = document.createElement("div");
-  messageElement.className = "chat-message";
+/**
+ * Show the unread count in the document title, e.g. "(3) Voice & Text Chat"
+ */
+function updateTitle() {
+  document.title =
+    unreadCount > 0 ? `(${unreadCount}) ${baseTitle}` : baseTitle;
+}
 
-  const isMe = config.peer_id === signalingSocket?.id;
+/**
+ * Reset the unread count once the user is back on the tab
+ */
+function clearUnread() {
+  if (unreadCount === 0 || (currentChannel && !isPageActive())) return;
 
-  messageElement.innerHTML = `
-    <span class="message-author ${isMe ? "me" : ""}">${escapeHtml(config.username || "Unknown")}:</span>
-    <span class="message-text">${escapeHtml(config.message)}</span>
-    <span class="message-time">${formatTime(config.timestamp)}</span>
-  `;
+  unreadCount = 0;
+  updateTitle();
+}
 
-  elements.chatMessages.appendChild(messageElement);
+/**
+ * Turn one type of alert on or off and remember the choice
+ */
+function setNotificationSetting(type, enabled) {
+  notificationSettings[type] = enabled;
+  localStorage.setItem(`notify-${type}`, enabled);
 
-  // Scroll to bottom
-  elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+  if (enabled && type !== "presenceSounds") {
+    requestNotificationPermission();
+  }
 }
 
 /**
- * Format timestamp for chat messages
+ * Reflect the saved alert settings in the checkboxes
  */
-function formatTime(timestamp) {
-  if (!timestamp) return "";
-  const date = new Date(timestamp);
-  return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+function updateNotificationSettingsUI() {
+  elements.notifyOptions.forEach((input) => {
+    input.checked = notificationSettings[input.dataset.notify];
+  });
+}
+
+/**
+ * Show or hide the alert settings
+ */
+function toggleNotificationsPanel() {
+  const visible = !elements.notificationsPanel.classList.toggle("hidden");
+  elements.notificationsBtn.classList.toggle("active", visible);
+}
+
+/**
+ * Play a short chime, one note per frequency, through the audio context
+ */
+function playChime(frequencies) {
+  if (!audioContext || audioContext.state !== "running") return;
+
+  const now = audioContext.currentTime;
+  const gain = audioContext.createGain();
+  gain.gain.setValueAtTime(0.0001, now);
+  gain.gain.exponentialRampToValueAtTime(0.2, now + 0.02);
+  gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.35);
+  gain.connect(audioContext.destination);
+
+  frequencies.forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    oscillator.frequency.value = frequency;
+    oscillator.connect(gain);
+    oscillator.start(now + index * 0.12);
+    oscillator.stop(now + 0.35);
+  });
 }
 
 /**
@@ -944,6 +4642,15 @@ function escapeHtml(text) {
 // Make functions available globally for onclick handlers
 window.togglePeerMute = togglePeerMute;
 window.setPeerVolume = setPeerVolume;
+window.kickPeer = kickPeer;
+window.banPeer = banPeer;
+window.forceMutePeer = forceMutePeer;
+window.transferOwnership = transferOwnership;
+window.replyToMessage = replyToMessage;
+window.editChatMessage = editChatMessage;
+window.deleteChatMessage = deleteChatMessage;
+window.reactToMessage = reactToMessage;
+window.toggleReactionPicker = toggleReactionPicker;
 
 // Initialize when DOM is ready
 if (document.readyState === "loading") {
@@ -0,0 +1,61 @@
+/**
+ * Console logging for the client, with levels.
+ *
+ * Errors, warnings and info are shown by default. Debugging is switched on
+ * with a `debug` list in the page URL, or in localStorage so it survives
+ * reloads:
+ *
+ *   ?debug            debug messages too
+ *   ?debug=webrtc     plus a trace of every ICE candidate, session
+ *                     description and connection state change
+ *   ?debug=private    don't redact chat text and usernames
+ *
+ *   localStorage.setItem("debug", "webrtc,private")
+ */
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+// Fields with what people say or who they are, redacted by default
+const LOG_PRIVATE_FIELDS = ["message", "username"];
+
+const log = createLogger(
+  new URLSearchParams(location.search).get("debug") ??
+    localStorage.getItem("debug"),
+);
+
+/**
+ * Build the logger from a debug setting (null when debugging is off)
+ */
+function createLogger(setting) {
+  const flags = setting === null ? [] : setting.split(",");
+  const level =
+    setting === null
+      ? LOG_LEVELS.info
+      : flags.includes("webrtc")
+        ? LOG_LEVELS.trace
+        : LOG_LEVELS.debug;
+  const redact = !flags.includes("private");
+
+  const write = (name, method) => (msg, fields) => {
+    if (LOG_LEVELS[name] > level) return;
+
+    if (!fields) {
+      console[method](`[${name}] ${msg}`);
+      return;
+    }
+
+    const shown = {};
+    for (const key in fields) {
+      shown[key] =
+        redact && LOG_PRIVATE_FIELDS.includes(key) ? "[redacted]" : fields[key];
+    }
+    console[method](`[${name}] ${msg}`, shown);
+  };
+
+  return {
+    error: write("error", "error"),
+    warn: write("warn", "warn"),
+    info: write("info", "info"),
+    debug: write("debug", "debug"),
+    trace: write("trace", "debug"),
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * AudioWorklet processor for the server-relayed audio mode.
+ * Collects microphone samples into fixed-size frames and posts them to
+ * the main thread, where they are Opus-encoded and sent to the server.
+ */
+class RelayCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.frameSize = options.processorOptions.frameSize;
+    this.buffer = new Float32Array(this.frameSize);
+    this.offset = 0;
+  }
+
+  process(inputs) {
+    // Mono: only the first channel of the first input is used
+    const input = inputs[0] && inputs[0][0];
+    if (!input) return true;
+
+    let index = 0;
+    while (index < input.length) {
+      const count = Math.min(
+        input.length - index,
+        this.frameSize - this.offset,
+      );
+      this.buffer.set(input.subarray(index, index + count), this.offset);
+      this.offset += count;
+      index += count;
+
+      if (this.offset === this.frameSize) {
+        this.port.postMessage(this.buffer, [this.buffer.buffer]);
+        this.buffer = new Float32Array(this.frameSize);
+        this.offset = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("relay-capture", RelayCaptureProcessor);
@@ -1,8 +1,84 @@
 const PORT = process.env.PORT || 8001;
 
+// ICE servers handed to clients (comma-separated lists)
+const STUN_URLS = splitList(
+  process.env.STUN_URLS ||
+    "stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302,stun:stun2.l.google.com:19302",
+);
+const TURN_URLS = splitList(process.env.TURN_URLS);
+// Shared secret for time-limited credentials (coturn: static-auth-secret)
+const TURN_SECRET = process.env.TURN_SECRET;
+// Static credentials, used only when no TURN_SECRET is set
+const TURN_USERNAME = process.env.TURN_USERNAME;
+const TURN_CREDENTIAL = process.env.TURN_CREDENTIAL;
+// Lifetime of issued TURN credentials in seconds
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 3600;
+
+// Rooms in "auto" mode switch from a peer-to-peer mesh to server-relayed
+// audio once they have more than this many participants
+const RELAY_THRESHOLD = parseInt(process.env.RELAY_THRESHOLD, 10) || 4;
+const ROOM_MODES = ["auto", "mesh", "relay"];
+
+// Chat history: messages kept in memory per channel, how many are sent per
+// page, and an optional directory to persist them to
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 200;
+const CHAT_HISTORY_PAGE = 50;
+const CHAT_HISTORY_DIR = process.env.CHAT_HISTORY_DIR || null;
+// Emoji that can be used as reactions to chat messages
+const REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🎉"];
+// Length of the quoted text kept with a reply
+const REPLY_EXCERPT = 100;
+
+// Seconds a dropped connection keeps its place in its rooms, so a client
+// that reconnects in time resumes its session instead of rejoining
+const SESSION_GRACE = parseInt(process.env.SESSION_GRACE, 10) || 30;
+
+// Token for the admin API and dashboard; they are disabled when unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Milliseconds to gather changes before pushing them to admin dashboards
+const ADMIN_UPDATE_DELAY = 500;
+
+// Redis-compatible broker shared by several nodes behind a load balancer
+// (redis://[user:password@]host:port); without it everything stays local
+const REDIS_URL = process.env.REDIS_URL || null;
+// Milliseconds between node heartbeats; a node silent for three of them
+// is taken to be gone, along with its peers
+const CLUSTER_HEARTBEAT = Number(process.env.CLUSTER_HEARTBEAT) || 5000;
+
+// Log level: error, warn, info or debug; debug adds a trace of every
+// relayed ICE candidate and session description
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+// Chat text and usernames are left out of logs unless this is "false"
+const LOG_REDACT = process.env.LOG_REDACT !== "false";
+
+// Per-socket rate limits for each group of events: how many may arrive
+// in a burst, and how many per second after that. Mute and recording
+// changes ("state") have their own bucket, so chatty speaking and typing
+// updates ("status") can't crowd them out.
+const RATE_LIMITS = {
+  room: { burst: 5, perSecond: 0.5 },
+  chat: { burst: 10, perSecond: 1 },
+  history: { burst: 5, perSecond: 0.5 },
+  moderation: { burst: 5, perSecond: 1 },
+  signaling: { burst: 200, perSecond: 50 },
+  audio: { burst: 50, perSecond: 25 },
+  status: { burst: 20, perSecond: 5 },
+  state: { burst: 10, perSecond: 2 },
+  metrics: { burst: 3, perSecond: 0.1 },
+};
+
+const crypto = require("crypto");
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
+const { ChatHistory } = require("./lib/chat-history");
+const { MemoryAdapter, RedisAdapter, RemotePeer } = require("./lib/cluster");
+const { Logger } = require("./lib/logger");
+const { Registry } = require("./lib/metrics");
+const { RateLimiter } = require("./lib/rate-limit");
+const { EventError, validate } = require("./lib/validation");
+
+const log = new Logger({ level: LOG_LEVEL, redact: LOG_REDACT });
 
 const app = express();
 const server = http.createServer(app);
@@ -32,11 +108,54 @@ const io = new Server(server, {
   transports: ["websocket", "polling"],
   // Allow reconnection
   allowEIO3: false,
+  // Largest message accepted; the event schemas limit individual fields
+  maxHttpBufferSize: 64 * 1024,
 });
 
 server.listen(PORT, () => {
-  console.log(`Voice & Text Chat Server listening on port ${PORT}`);
-  console.log(`Open http://localhost:${PORT} in your browser`);
+  // The port actually bound, for PORT=0
+  const port = server.address().port;
+  log.info("Voice & Text Chat Server listening", {
+    port: port,
+    url: `http://localhost:${port}`,
+  });
+
+  if (ADMIN_TOKEN) {
+    log.info("Admin dashboard enabled", {
+      url: `http://localhost:${port}/admin`,
+    });
+  }
+
+  if (REDIS_URL) {
+    log.info("Cluster node started", {
+      node: cluster.nodeId,
+      broker: new URL(REDIS_URL).host,
+    });
+  }
+
+  if (TURN_URLS.length === 0) {
+    log.info("No TURN_URLS configured, clients will use STUN only");
+  } else if (!TURN_SECRET && !(TURN_USERNAME && TURN_CREDENTIAL)) {
+    log.warn("TURN_URLS set without TURN_SECRET or credentials");
+  }
+});
+
+// Give every request an id for the logs, keeping one set by a proxy
+app.use((req, res, next) => {
+  const header = req.get("X-Request-Id");
+  const id =
+    header && /^[\w-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+
+  res.set("X-Request-Id", id);
+  req.log = log.child({ request: id });
+  res.on("finish", () => {
+    req.log.debug("HTTP request", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+    });
+  });
+  next();
 });
 
 // Serve static files
@@ -47,104 +166,1390 @@ app.get("/", (req, res) => {
   res.sendFile(__dirname + "/client.html");
 });
 
-// Channel and socket management
+// Liveness: the process is up and answering requests
+app.get("/healthz", (req, res) => {
+  res.json({ ok: true, uptime: process.uptime() });
+});
+
+// Readiness: accepting new connections, which stops once shutdown starts
+app.get("/readyz", (req, res) => {
+  const ready = server.listening && !shuttingDown;
+  res.status(ready ? 200 : 503).json({ ok: ready });
+});
+
+// Prometheus metrics
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4");
+  res.send(metrics.render());
+});
+
+// ICE server configuration, fetched by clients before creating peer connections
+app.get("/ice-servers", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json(getIceConfig());
+});
+
+// Admin dashboard; the page itself is public, the data behind it needs
+// the admin token
+app.get("/admin", (req, res) => {
+  res.sendFile(__dirname + "/admin.html");
+});
+
+// Admin REST API
+app.use("/admin/api", requireAdmin);
+
+app.get("/admin/api/rooms", (req, res) => {
+  res.json({ ok: true, rooms: getRoomSummaries() });
+});
+
+app.get("/admin/api/rooms/:channel", (req, res) => {
+  const channel = req.params.channel;
+  if (!hasOwn(channels, channel)) {
+    return sendAdminError(res, 404, "unknown_room", "No such room.");
+  }
+  res.json({ ok: true, room: getRoomSummary(channel) });
+});
+
+// Close a room: everyone in it is removed and told why
+app.delete("/admin/api/rooms/:channel", (req, res) => {
+  const channel = req.params.channel;
+  if (!hasOwn(channels, channel)) {
+    return sendAdminError(res, 404, "unknown_room", "No such room.");
+  }
+  req.log.info("Admin closed room", { channel: channel });
+  closeRoom(channel);
+  res.json({ ok: true });
+});
+
+// Disconnect a user and end their session, so they don't resume
+app.delete("/admin/api/peers/:peerId", (req, res) => {
+  const peerId = req.params.peerId;
+  if (!hasOwn(sockets, peerId) && !hasOwn(remotePeers, peerId)) {
+    return sendAdminError(res, 404, "unknown_peer", "No such user.");
+  }
+  req.log.info("Admin disconnected peer", { peer: peerId });
+  disconnectPeer(peerId);
+  res.json({ ok: true });
+});
+
+/**
+ * Check the admin token sent as "Authorization: Bearer <token>"
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendAdminError(
+      res,
+      404,
+      "admin_disabled",
+      "Set ADMIN_TOKEN to enable the admin API.",
+    );
+  }
+
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!safeEqual(token, ADMIN_TOKEN)) {
+    return sendAdminError(
+      res,
+      401,
+      "unauthorized",
+      "Missing or wrong admin token.",
+    );
+  }
+
+  next();
+}
+
+/**
+ * Send an admin API error in the same shape as event acknowledgements
+ */
+function sendAdminError(res, status, code, message) {
+  res.status(status).json({ ok: false, code, message });
+}
+
+/**
+ * Build the ICE server list for a client.
+ * TURN credentials follow the TURN REST API format used by coturn's
+ * use-auth-secret mode: the username is "<expiry>:<id>" and the
+ * credential is base64(HMAC-SHA1(TURN_SECRET, username)).
+ */
+function getIceConfig() {
+  const iceServers = [];
+  let ttl = null;
+
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  if (TURN_URLS.length > 0) {
+    if (TURN_SECRET) {
+      const expiry = Math.floor(Date.now() / 1000) + TURN_TTL;
+      const username = `${expiry}:${crypto.randomBytes(6).toString("hex")}`;
+      const credential = crypto
+        .createHmac("sha1", TURN_SECRET)
+        .update(username)
+        .digest("base64");
+
+      iceServers.push({ urls: TURN_URLS, username, credential });
+      ttl = TURN_TTL;
+    } else if (TURN_USERNAME && TURN_CREDENTIAL) {
+      iceServers.push({
+        urls: TURN_URLS,
+        username: TURN_USERNAME,
+        credential: TURN_CREDENTIAL,
+      });
+    }
+  }
+
+  return { iceServers, ttl };
+}
+
+/**
+ * Check for a key of the object itself, so "constructor" and friends
+ * from a URL don't match inherited properties
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Split a comma-separated environment value into a list
+ */
+function splitList(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Channel and socket management. Everything is keyed by peer id, which
+// stays the same when a client reconnects and resumes its session.
 const channels = {};
+const channelState = {};
 const sockets = {};
 const usernames = {};
+// Client-held identity used for bans (falls back to the peer id)
+const identities = {};
+// Session token -> the socket currently holding that session
+const sessions = new Map();
+// Peers connected to other nodes, by peer id. They stand in for sockets
+// in `channels`, so events sent to them reach their node.
+const remotePeers = {};
+// Other nodes -> when we last heard from them
+const clusterNodes = new Map();
+const cluster = REDIS_URL
+  ? new RedisAdapter(REDIS_URL, { logger: log.child({ component: "cluster" }) })
+  : new MemoryAdapter();
+const chatHistory = new ChatHistory({
+  limit: CHAT_HISTORY_LIMIT,
+  directory: CHAT_HISTORY_DIR,
+  logger: log.child({ component: "chat-history" }),
+  allocateId: (channel, floor) => cluster.nextMessageId(channel, floor),
+});
+
+// Set once SIGTERM arrives, so /readyz can take us out of rotation
+let shuttingDown = false;
+
+// Prometheus metrics, served on /metrics
+const metrics = new Registry();
+metrics.gauge(
+  "voicechat_connected_sockets",
+  "Signaling connections currently open",
+  () => io.of("/").sockets.size,
+);
+metrics.gauge(
+  "voicechat_sessions",
+  "Sessions, including ones held open for a reconnect",
+  () => sessions.size,
+);
+metrics.gauge(
+  "voicechat_active_rooms",
+  "Rooms with at least one participant connected to this node",
+  () =>
+    Object.values(channels).filter((members) =>
+      Object.values(members).some((member) => !member.remote),
+    ).length,
+);
+metrics.gauge(
+  "voicechat_cluster_nodes",
+  "Nodes this one is in touch with, itself included",
+  () => clusterNodes.size + 1,
+);
+const roomSizeMetric = metrics.histogram(
+  "voicechat_room_size",
+  "Size of a room when someone joins it, counting them",
+  [1, 2, 3, 4, 6, 8, 12, 16, 32],
+);
+const eventsMetric = metrics.counter(
+  "voicechat_signaling_messages_total",
+  "Socket.IO events received from clients, by event type",
+);
+const rejectedMetric = metrics.counter(
+  "voicechat_rejected_events_total",
+  "Events refused by validation, rate limits or their handler",
+);
+const relayErrorsMetric = metrics.counter(
+  "voicechat_relay_errors_total",
+  "Signaling messages or relayed audio frames that could not be delivered",
+);
+const chatMetric = metrics.counter(
+  "voicechat_chat_messages_total",
+  "Chat messages sent through the server",
+);
+const callLossMetric = metrics.histogram(
+  "voicechat_call_packet_loss_percent",
+  "Packet loss reported by clients, by quality preset",
+  [0.5, 1, 2, 5, 10, 20, 50],
+);
+const callRttMetric = metrics.histogram(
+  "voicechat_call_rtt_seconds",
+  "Round-trip time reported by clients, by quality preset",
+  [0.025, 0.05, 0.1, 0.2, 0.4, 0.8, 1.6],
+);
+const callBitrateMetric = metrics.histogram(
+  "voicechat_call_send_bitrate_bits_per_second",
+  "Audio send bitrate reported by clients, by quality preset",
+  [4000, 8000, 12000, 16000, 24000, 32000, 48000],
+);
+
+// Live room list for the admin dashboard, on its own namespace so only
+// clients holding the admin token receive it
+const adminNamespace = io.of("/admin");
+let adminUpdateTimer = null;
+
+adminNamespace.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (
+    ADMIN_TOKEN &&
+    typeof token === "string" &&
+    safeEqual(token, ADMIN_TOKEN)
+  ) {
+    return next();
+  }
+  next(new Error("unauthorized"));
+});
+
+adminNamespace.on("connection", (socket) => {
+  log.info("Admin dashboard connected", { socket: socket.id });
+  socket.emit("rooms", getRoomSummaries());
+});
+
+/**
+ * Decide whether a room of the given size should relay audio through the
+ * server. Auto rooms switch on above the threshold but only switch back
+ * once they are below it, so one person coming and going doesn't flap.
+ * They stay on a mesh while anyone in them can't play relayed audio.
+ */
+function shouldRelay(state, count, capable) {
+  if (state.mode === "relay") return true;
+  if (state.mode === "mesh" || !capable) return false;
+  return state.relaying ? count >= RELAY_THRESHOLD : count > RELAY_THRESHOLD;
+}
+
+/**
+ * Whether everyone in a room, plus `joining` if given, can send and play
+ * relayed audio (it needs WebCodecs in the browser)
+ */
+function canRelay(channel, joining) {
+  const members = Object.values(channels[channel]);
+  if (joining) members.push(joining);
+  return members.every((member) => member.relayCapable !== false);
+}
+
+/**
+ * Build the access settings for a new room from the creator's join request.
+ * A room can be locked with a password, made invite-only, or both.
+ */
+function createAccess(config) {
+  const access = { passwordSalt: null, passwordHash: null, inviteToken: null };
+
+  if (typeof config.password === "string" && config.password) {
+    access.passwordSalt = crypto.randomBytes(16).toString("hex");
+    access.passwordHash = hashPassword(config.password, access.passwordSalt);
+  }
+
+  if (config.inviteOnly) {
+    access.inviteToken = crypto.randomBytes(16).toString("hex");
+  }
+
+  return access;
+}
+
+/**
+ * Whether a room is locked with a password or invite-only. Its chat is
+ * kept in memory only, so it goes with the room and a later room of the
+ * same name can't read it.
+ */
+function isRestricted(state) {
+  return Boolean(state.passwordHash || state.inviteToken);
+}
+
+/**
+ * Check a join request against a room's access settings.
+ * Returns the rejection to send back, or null if the join is allowed.
+ */
+function checkAccess(state, config) {
+  if (
+    state.inviteToken &&
+    !safeEqual(String(config.invite || ""), state.inviteToken)
+  ) {
+    return {
+      code: "invite_required",
+      message:
+        "This room is invite-only. Ask someone in it for an invite link.",
+    };
+  }
+
+  if (state.passwordHash) {
+    if (typeof config.password !== "string" || !config.password) {
+      return {
+        code: "password_required",
+        message: "This room is locked. Enter its password to join.",
+      };
+    }
+
+    const hash = hashPassword(config.password, state.passwordSalt);
+    if (!safeEqual(hash, state.passwordHash)) {
+      return { code: "wrong_password", message: "Wrong room password." };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Hash a room password (rooms only live in memory, so a salted SHA-256
+ * is enough to avoid keeping the plain text around)
+ */
+function hashPassword(password, salt) {
+  return crypto
+    .createHash("sha256")
+    .update(`${salt}:${password}`)
+    .digest("hex");
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+/**
+ * Switch a room between mesh and relayed audio and tell everyone in it
+ */
+function setRelaying(channel, relaying) {
+  channelState[channel].relaying = relaying;
+  log.info("Room audio mode changed", {
+    channel: channel,
+    mode: relaying ? "relay" : "mesh",
+  });
+  shareRoomState(channel);
+  notifyAdmins();
+
+  for (const id in channels[channel]) {
+    channels[channel][id].emit("roomMode", {
+      mode: relaying ? "relay" : "mesh",
+    });
+  }
+}
+
+/**
+ * Remove a socket from a channel, hand off ownership if it owned the room,
+ * and clean up the room once it's empty. Only for sockets connected to
+ * this node; see removeFromRoom.
+ */
+function partChannel(socket, channel) {
+  socket.log.info("Leaving room", { channel: channel });
+
+  if (!(channel in socket.channels)) {
+    socket.log.warn("Not in room", { channel: channel });
+    return;
+  }
+
+  delete socket.channels[channel];
+  delete channels[channel][socket.peerId];
+  delete channelState[channel].joinedAt[socket.peerId];
+  cluster.publish({ type: "part", channel: channel, peer_id: socket.peerId });
+  notifyAdmins();
+
+  // Notify remaining peers
+  for (const id in channels[channel]) {
+    channels[channel][id].emit("removePeer", {
+      peer_id: socket.peerId,
+      left: true,
+    });
+    socket.emit("removePeer", { peer_id: id });
+  }
+
+  // Clean up empty channels
+  const count = Object.keys(channels[channel]).length;
+  if (count === 0) {
+    delete channels[channel];
+    delete channelState[channel];
+    chatHistory.forget(channel);
+    return;
+  }
+
+  // Their removal already clears any recording indicator on the clients
+  const state = channelState[channel];
+  state.recording.delete(socket.peerId);
+
+  // The longest-present member takes over an abandoned room
+  if (state.owner === socket.peerId) {
+    setOwner(channel, Object.keys(channels[channel])[0]);
+  }
+
+  // Fall back to a mesh once the room is small enough again
+  if (state.relaying && !shouldRelay(state, count, canRelay(channel))) {
+    setRelaying(channel, false);
+    rebuildMesh(channel);
+  }
+}
+
+/**
+ * Make a member the owner of a room and tell everyone in it
+ */
+function setOwner(channel, peerId) {
+  channelState[channel].owner = peerId;
+  log.info("Room owner changed", { channel: channel, peer: peerId });
+  shareRoomState(channel);
+  notifyAdmins();
+
+  for (const id in channels[channel]) {
+    channels[channel][id].emit("roomOwner", { peer_id: peerId });
+  }
+}
+
+/**
+ * Reconnect everyone in a room peer-to-peer after leaving relay mode.
+ * Later joiners create the offers, the same as in join. Members who are
+ * away get introduced when they resume.
+ */
+function rebuildMesh(channel) {
+  const members = Object.values(channels[channel]).filter((s) => !s.away);
+
+  members.forEach((member, index) => {
+    for (const other of members.slice(0, index)) {
+      connectPeers(member, other);
+    }
+  });
+}
+
+/**
+ * Tell two members of a room about each other; `offerer` creates the offer.
+ * Clients ignore peers they already know, so repeating this is harmless.
+ * `joined` tells the answerer that the offerer has only just joined.
+ */
+function connectPeers(offerer, answerer, joined = false) {
+  answerer.emit("addPeer", {
+    peer_id: offerer.peerId,
+    username: usernames[offerer.peerId] || offerer.peerId.slice(0, 6),
+    should_create_offer: false,
+    joined: joined,
+  });
+  offerer.emit("addPeer", {
+    peer_id: answerer.peerId,
+    username: usernames[answerer.peerId] || answerer.peerId.slice(0, 6),
+    should_create_offer: true,
+  });
+}
+
+/**
+ * Give a new connection its own session. The socket id becomes the peer
+ * id, which the client keeps for as long as the session lives.
+ */
+function startSession(socket) {
+  socket.peerId = socket.id;
+  socket.channels = {};
+  socket.sessionToken = crypto.randomBytes(24).toString("hex");
+  sessions.set(socket.sessionToken, socket);
+  sockets[socket.peerId] = socket;
+}
+
+/**
+ * Hand an existing session over to a reconnecting socket that presented
+ * its token. The new socket takes the old one's place in every room.
+ */
+function resumeSession(socket) {
+  const token = socket.handshake.auth && socket.handshake.auth.sessionToken;
+  const previous = typeof token === "string" ? sessions.get(token) : null;
+  if (!previous) return false;
+
+  clearTimeout(previous.graceTimer);
+  previous.replaced = true;
+  if (previous.connected) {
+    previous.disconnect(true);
+  }
+
+  socket.peerId = previous.peerId;
+  socket.channels = previous.channels;
+  socket.sessionToken = token;
+  // Told us on join, and the resumed client doesn't join again
+  socket.relayCapable = previous.relayCapable;
+  sessions.set(token, socket);
+  sockets[socket.peerId] = socket;
+  for (const channel in socket.channels) {
+    channels[channel][socket.peerId] = socket;
+  }
+
+  return true;
+}
+
+/**
+ * End a session for good: leave its rooms and forget the peer
+ */
+function endSession(socket) {
+  for (const channel in socket.channels) {
+    partChannel(socket, channel);
+  }
+  sessions.delete(socket.sessionToken);
+  delete sockets[socket.peerId];
+  delete usernames[socket.peerId];
+  delete identities[socket.peerId];
+}
+
+/**
+ * Describe a room for the admin API and dashboard
+ */
+function getRoomSummary(channel) {
+  const state = channelState[channel];
+  return {
+    channel: channel,
+    createdAt: state.createdAt,
+    owner: state.owner,
+    mode: state.mode,
+    relaying: state.relaying,
+    locked: Boolean(state.passwordHash),
+    inviteOnly: Boolean(state.inviteToken),
+    messageCount: state.messageCount,
+    recording: Array.from(state.recording),
+    participants: Object.keys(channels[channel]).map((peerId) => ({
+      peer_id: peerId,
+      username: usernames[peerId] || peerId.slice(0, 6),
+      joinedAt: state.joinedAt[peerId],
+      away: Boolean(channels[channel][peerId].away),
+    })),
+  };
+}
+
+function getRoomSummaries() {
+  return Object.keys(channels).map(getRoomSummary);
+}
+
+/**
+ * Push the room list to connected admin dashboards. Changes are gathered
+ * for a moment so a burst of them becomes one update.
+ */
+function notifyAdmins() {
+  if (adminUpdateTimer || adminNamespace.sockets.size === 0) return;
+
+  adminUpdateTimer = setTimeout(() => {
+    adminUpdateTimer = null;
+    adminNamespace.emit("rooms", getRoomSummaries());
+  }, ADMIN_UPDATE_DELAY);
+}
+
+/**
+ * Remove a member from a room and tell them why. Members connected to
+ * another node are removed by that node.
+ */
+function removeFromRoom(member, channel, reason) {
+  if (member.remote) {
+    cluster.send(member.nodeId, {
+      type: "remove",
+      channel: channel,
+      peer_id: member.peerId,
+      reason: reason,
+    });
+    return;
+  }
+
+  member.emit("kicked", { channel: channel, reason: reason });
+  partChannel(member, channel);
+}
+
+/**
+ * Admin action: remove everyone from a room, which deletes it
+ */
+function closeRoom(channel) {
+  for (const member of Object.values(channels[channel])) {
+    removeFromRoom(member, channel, "closed");
+  }
+}
+
+/**
+ * Admin action: disconnect a user and end their session for good
+ */
+function disconnectPeer(peerId) {
+  if (hasOwn(remotePeers, peerId)) {
+    const node = remotePeers[peerId].nodeId;
+    cluster.send(node, { type: "disconnect", peer_id: peerId });
+    return;
+  }
+
+  const socket = sockets[peerId];
+
+  for (const channel in socket.channels) {
+    socket.emit("kicked", { channel: channel, reason: "disconnected" });
+  }
+  clearTimeout(socket.graceTimer);
+  endSession(socket);
+  socket.disconnect(true);
+}
+
+/**
+ * Describe the rooms a resumed session is in, so its client can catch up
+ * on what changed while it was away
+ */
+function getSessionRooms(socket) {
+  const rooms = {};
+  for (const channel in socket.channels) {
+    rooms[channel] = {
+      owner: channelState[channel].owner,
+      mode: channelState[channel].relaying ? "relay" : "mesh",
+      recording: Array.from(channelState[channel].recording),
+      peers: Object.keys(channels[channel]).filter(
+        (id) => id !== socket.peerId,
+      ),
+    };
+  }
+  return rooms;
+}
+
+/**
+ * Describe a member of a room connected to this node, for the other nodes
+ */
+function describeMember(socket, channel) {
+  return {
+    peer_id: socket.peerId,
+    username: usernames[socket.peerId] || null,
+    identity: identities[socket.peerId] || null,
+    joinedAt: channelState[channel].joinedAt[socket.peerId],
+    away: Boolean(socket.away),
+    relay: socket.relayCapable !== false,
+  };
+}
+
+/**
+ * A room's settings in a form that can be sent to other nodes
+ */
+function describeRoomState(channel) {
+  const { joinedAt, ...state } = channelState[channel];
+  return {
+    ...state,
+    bans: Array.from(state.bans),
+    recording: Array.from(state.recording),
+  };
+}
+
+/**
+ * Tell the other nodes that a room's settings changed
+ */
+function shareRoomState(channel) {
+  cluster.publish({
+    type: "room",
+    channel: channel,
+    state: describeRoomState(channel),
+  });
+}
+
+/**
+ * Tell the other nodes that one of our peers changed name or went away
+ * or came back
+ */
+function sharePeer(socket) {
+  cluster.publish({
+    type: "peer",
+    peer_id: socket.peerId,
+    username: usernames[socket.peerId] || null,
+    away: Boolean(socket.away),
+  });
+}
+
+/**
+ * Take over a room's settings from another node, adding the room if we
+ * didn't know it. Join times and the message count are kept locally.
+ */
+function applyRoomState(channel, shared) {
+  const current = channelState[channel];
+  if (!current) {
+    channels[channel] = {};
+    if (isRestricted(shared)) {
+      chatHistory.keepInMemory(channel);
+    }
+  }
+
+  channelState[channel] = {
+    ...shared,
+    bans: new Set(shared.bans),
+    recording: new Set(shared.recording),
+    joinedAt: current ? current.joinedAt : {},
+    messageCount: current ? current.messageCount : shared.messageCount,
+  };
+  notifyAdmins();
+}
+
+/**
+ * Add a member connected to another node to our copy of a room
+ */
+function addRemoteMember(node, channel, member) {
+  const peerId = member.peer_id;
+  if (!remotePeers[peerId]) {
+    remotePeers[peerId] = new RemotePeer(cluster, node, peerId);
+  }
+
+  const peer = remotePeers[peerId];
+  peer.away = member.away;
+  peer.relayCapable = member.relay !== false;
+  peer.channels[channel] = channel;
+  if (member.username) {
+    usernames[peerId] = member.username;
+  }
+  if (member.identity) {
+    identities[peerId] = member.identity;
+  }
+
+  channels[channel][peerId] = peer;
+  channelState[channel].joinedAt[peerId] = member.joinedAt;
+  notifyAdmins();
+}
+
+/**
+ * Drop a member connected to another node from our copy of a room. Their
+ * node has already told everyone in the room.
+ */
+function removeRemoteMember(channel, peerId) {
+  const peer = remotePeers[peerId];
+  if (!peer || !(channel in peer.channels)) return;
+
+  delete peer.channels[channel];
+  delete channels[channel][peerId];
+  delete channelState[channel].joinedAt[peerId];
+  channelState[channel].recording.delete(peerId);
+  notifyAdmins();
+
+  if (Object.keys(peer.channels).length === 0) {
+    delete remotePeers[peerId];
+    delete usernames[peerId];
+    delete identities[peerId];
+  }
+
+  if (Object.keys(channels[channel]).length === 0) {
+    delete channels[channel];
+    delete channelState[channel];
+    chatHistory.forget(channel);
+  }
+}
+
+/**
+ * Send a node that just started the rooms our peers are in, with their
+ * recent chat
+ */
+async function sendClusterSync(node) {
+  const rooms = [];
+  for (const channel in channels) {
+    const members = Object.values(channels[channel])
+      .filter((member) => !member.remote)
+      .map((socket) => describeMember(socket, channel));
+    if (members.length > 0) {
+      rooms.push({
+        channel: channel,
+        state: describeRoomState(channel),
+        members: members,
+      });
+    }
+  }
+
+  for (const room of rooms) {
+    const page = await chatHistory.getPage(
+      room.channel,
+      undefined,
+      CHAT_HISTORY_PAGE,
+    );
+    room.messages = page.messages;
+  }
+
+  cluster.send(node, { type: "sync", rooms: rooms });
+}
+
+/**
+ * Keep a copy of a chat message another node stored or changed
+ */
+async function storeRemoteMessage(channel, message) {
+  const added = await chatHistory.store(channel, message);
+  if (added && channelState[channel]) {
+    channelState[channel].messageCount++;
+    notifyAdmins();
+  }
+}
+
+/**
+ * Apply a message from another node
+ */
+function handleClusterMessage(message) {
+  const node = message.node;
+  if (!clusterNodes.has(node)) {
+    log.info("Cluster node is up", { node: node });
+  }
+  clusterNodes.set(node, Date.now());
+
+  switch (message.type) {
+    case "hello":
+      sendClusterSync(node).catch((error) => {
+        log.error("Could not send rooms to cluster node", {
+          node: node,
+          error: error,
+        });
+      });
+      break;
+
+    case "sync":
+      for (const room of message.rooms) {
+        if (!channelState[room.channel]) {
+          applyRoomState(room.channel, room.state);
+        }
+        for (const member of room.members) {
+          addRemoteMember(node, room.channel, member);
+        }
+        for (const entry of room.messages) {
+          storeRemoteMessage(room.channel, entry);
+        }
+      }
+      break;
+
+    case "join":
+      applyRoomState(message.channel, message.state);
+      addRemoteMember(node, message.channel, message.member);
+      break;
+
+    case "part":
+      removeRemoteMember(message.channel, message.peer_id);
+      break;
+
+    // Changes to rooms we no longer know about are stale
+    case "room":
+      if (channelState[message.channel]) {
+        applyRoomState(message.channel, message.state);
+      }
+      break;
+
+    case "peer": {
+      const peer = remotePeers[message.peer_id];
+      if (peer) {
+        peer.away = message.away;
+        if (message.username) {
+          usernames[message.peer_id] = message.username;
+        }
+        notifyAdmins();
+      }
+      break;
+    }
+
+    case "chat":
+      storeRemoteMessage(message.channel, message.message);
+      break;
+
+    // An event for one of our peers
+    case "emit": {
+      const socket = sockets[message.peer_id];
+      if (socket) {
+        const target = message.volatile ? socket.volatile : socket;
+        target.emit(message.event, message.data);
+      }
+      break;
+    }
+
+    // Moderation or an admin acting on one of our peers
+    case "remove": {
+      const socket = sockets[message.peer_id];
+      if (socket && message.channel in socket.channels) {
+        removeFromRoom(socket, message.channel, message.reason);
+      }
+      break;
+    }
+
+    case "disconnect":
+      if (hasOwn(sockets, message.peer_id)) {
+        log.info("Disconnecting peer for another node", {
+          peer: message.peer_id,
+          node: node,
+        });
+        disconnectPeer(message.peer_id);
+      }
+      break;
+  }
+}
+
+/**
+ * Announce ourselves, and drop nodes we haven't heard from in a while
+ */
+function clusterHeartbeat() {
+  cluster.publish({ type: "heartbeat" });
+
+  const cutoff = Date.now() - CLUSTER_HEARTBEAT * 3;
+  for (const [node, lastSeen] of clusterNodes) {
+    if (lastSeen < cutoff) {
+      clusterNodes.delete(node);
+      dropNode(node);
+    }
+  }
+}
+
+/**
+ * A node went quiet: take its peers out of our rooms and tell our own
+ * members they left. A room that lost its owner goes to the member who
+ * joined first; every node picks the same one, and that member's node
+ * announces it.
+ */
+function dropNode(node) {
+  log.warn("Cluster node is gone, dropping its peers", { node: node });
+
+  const peers = Object.values(remotePeers).filter((p) => p.nodeId === node);
+  for (const peer of peers) {
+    for (const channel of Object.keys(peer.channels)) {
+      removeRemoteMember(channel, peer.peerId);
+      if (!channels[channel]) continue;
+
+      for (const member of Object.values(channels[channel])) {
+        if (!member.remote) {
+          member.emit("removePeer", { peer_id: peer.peerId, left: true });
+        }
+      }
+
+      const state = channelState[channel];
+      if (!(state.owner in channels[channel])) {
+        const next = Object.keys(state.joinedAt).sort(
+          (a, b) => state.joinedAt[a] - state.joinedAt[b] || (a < b ? -1 : 1),
+        )[0];
+        if (!channels[channel][next].remote) {
+          setOwner(channel, next);
+        }
+      }
+    }
+  }
+}
+
+cluster
+  .start(handleClusterMessage)
+  .then(() => {
+    cluster.publish({ type: "hello" });
+  })
+  .catch((error) => {
+    log.error("Could not start the cluster adapter", { error: error });
+  });
+setInterval(clusterHeartbeat, CLUSTER_HEARTBEAT).unref();
 
 /**
  * Signaling server for WebRTC voice chat
  * Handles peer discovery, ICE candidate relay, and session description exchange
  */
 io.on("connection", (socket) => {
-  socket.channels = {};
-  sockets[socket.id] = socket;
+  const resumed = resumeSession(socket);
+  if (!resumed) {
+    startSession(socket);
+  }
 
-  console.log(`[${socket.id}] Connected`);
+  // Everything logged for this connection carries its ids
+  socket.log = log.child({ socket: socket.id, peer: socket.peerId });
+  socket.log.info(resumed ? "Resumed session" : "Connected");
 
-  // Handle disconnection
-  socket.on("disconnect", () => {
+  const rateLimiter = new RateLimiter(RATE_LIMITS);
+
+  socket.emit("session", {
+    peer_id: socket.peerId,
+    token: socket.sessionToken,
+    resumed: resumed,
+    rooms: getSessionRooms(socket),
+  });
+
+  // Catch a resumed client up: introduce members that joined while it was
+  // away and resend recent chat. It offers, and restarts ICE where needed.
+  if (resumed) {
+    sharePeer(socket);
+    notifyAdmins();
     for (const channel in socket.channels) {
-      part(channel);
+      for (const id in channels[channel]) {
+        const member = channels[channel][id];
+        if (id !== socket.peerId && !member.away) {
+          connectPeers(socket, member);
+        }
+      }
+      sendChatHistory(channel);
+    }
+  }
+
+  // Handle disconnection
+  socket.on("disconnect", (reason) => {
+    // A reconnect has already taken this session over
+    if (socket.replaced) return;
+
+    const inRooms = Object.keys(socket.channels).length > 0;
+    if (!inRooms || reason === "client namespace disconnect") {
+      socket.log.info("Disconnected", { reason: reason });
+      endSession(socket);
+      return;
     }
-    console.log(`[${socket.id}] Disconnected`);
-    delete sockets[socket.id];
-    delete usernames[socket.id];
+
+    // Dropped connection: keep our place in case the client comes back
+    socket.log.info("Connection lost, holding session", {
+      reason: reason,
+      grace: SESSION_GRACE,
+    });
+    socket.away = true;
+    sharePeer(socket);
+    notifyAdmins();
+    socket.graceTimer = setTimeout(() => {
+      socket.log.info("Session expired");
+      endSession(socket);
+    }, SESSION_GRACE * 1000);
   });
 
+  // Register a handler for a client event. Each event is rate limited and
+  // checked against its schema before the handler runs; handlers reject
+  // an event by throwing an EventError. Clients that pass an ack callback
+  // get { ok: true } or { ok: false, code, message } back.
+  function handle(event, group, handler) {
+    socket.on(event, async (payload, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      eventsMetric.inc({ event });
+
+      try {
+        if (!rateLimiter.take(group)) {
+          throw new EventError("rate_limited", "Too many requests, slow down.");
+        }
+        const problem = validate(event, payload);
+        if (problem) {
+          throw new EventError("invalid_payload", problem);
+        }
+
+        await handler(payload);
+        reply({ ok: true });
+      } catch (error) {
+        const code =
+          error instanceof EventError ? error.code : "internal_error";
+        rejectedMetric.inc({ event, code });
+        if (group === "signaling" || group === "audio") {
+          relayErrorsMetric.inc({ event, code });
+        }
+
+        if (!(error instanceof EventError)) {
+          socket.log.error("Event handler failed", {
+            event: event,
+            error: error,
+          });
+          reply({
+            ok: false,
+            code: "internal_error",
+            message: "Something went wrong.",
+          });
+          return;
+        }
+
+        // A flood would flood the log too
+        if (error.code !== "rate_limited") {
+          socket.log.info("Rejected event", {
+            event: event,
+            code: error.code,
+            reason: error.message,
+          });
+        }
+        reply({ ok: false, code: error.code, message: error.message });
+      }
+    });
+  }
+
+  // Most events only make sense from a member of the room they name
+  function requireMember(channel) {
+    if (!(channel in socket.channels)) {
+      throw new EventError("not_in_channel", "You are not in that room.");
+    }
+  }
+
   // Set username
-  socket.on("setUsername", (username) => {
-    usernames[socket.id] = username || `User-${socket.id.slice(0, 6)}`;
-    console.log(`[${socket.id}] Set username: ${usernames[socket.id]}`);
+  handle("setUsername", "room", (username) => {
+    usernames[socket.peerId] = username || `User-${socket.peerId.slice(0, 6)}`;
+    socket.log.info("Set username", { username: usernames[socket.peerId] });
+    sharePeer(socket);
   });
 
   // Handle chat messages
-  socket.on("chatMessage", (config) => {
+  handle("chatMessage", "chat", async (config) => {
     const channel = config.channel;
     const message = config.message;
 
-    if (!channel || !channels[channel]) return;
+    requireMember(channel);
+
+    // Private chat normally travels over data channels; this is the
+    // fallback for peers without one. Only the listed recipients get it
+    // and it is neither logged nor kept in history.
+    if (config.recipients) {
+      if (config.id === undefined) {
+        throw new EventError("invalid_payload", "Private messages need an id.");
+      }
+
+      for (const id of config.recipients) {
+        if (id !== socket.peerId && id in channels[channel]) {
+          channels[channel][id].emit("chatMessage", {
+            id: config.id,
+            peer_id: socket.peerId,
+            username: usernames[socket.peerId] || socket.peerId.slice(0, 6),
+            message: message,
+            timestamp: Date.now(),
+            private: true,
+            relayed: true,
+          });
+        }
+      }
+      chatMetric.inc({ kind: "private" });
+      return;
+    }
+
+    socket.log.info("Chat message", {
+      channel: channel,
+      length: message.length,
+      message: message,
+    });
 
-    console.log(`[${socket.id}] Chat: ${message.substring(0, 50)}...`);
+    // A reply keeps a short quote of the original, so it can be shown
+    // even when the original isn't loaded on the client
+    let replyTo = null;
+    if (Number.isInteger(config.replyTo)) {
+      const original = await chatHistory.find(channel, config.replyTo);
+      if (original && !original.deleted) {
+        replyTo = {
+          id: original.id,
+          username: original.username,
+          message: original.message.slice(0, REPLY_EXCERPT),
+        };
+      }
+    }
+
+    // Store first so the message carries its id
+    const entry = await chatHistory.add(channel, {
+      peer_id: socket.peerId,
+      username: usernames[socket.peerId] || socket.peerId.slice(0, 6),
+      message: message,
+      timestamp: Date.now(),
+      replyTo: replyTo,
+      reactions: {},
+    });
+
+    // The room may have emptied while we were storing
+    if (!channels[channel]) return;
+
+    channelState[channel].messageCount++;
+    chatMetric.inc({ kind: "room" });
+    cluster.publish({ type: "chat", channel: channel, message: entry });
+    notifyAdmins();
 
     // Broadcast to all users in the channel
     for (const id in channels[channel]) {
-      channels[channel][id].emit("chatMessage", {
-        peer_id: socket.id,
-        username: usernames[socket.id] || socket.id.slice(0, 6),
-        message: message,
-        timestamp: Date.now(),
-      });
+      channels[channel][id].emit("chatMessage", entry);
     }
   });
 
-  // Handle joining a channel
-  socket.on("join", (config) => {
-    console.log(`[${socket.id}] Joining:`, config);
+  // Edit one of our own messages
+  handle("editMessage", "chat", (config) => {
+    const message = config.message;
+
+    return changeMessage(config, (original) =>
+      original.peer_id === socket.peerId && !original.deleted
+        ? { message: message, edited: Date.now() }
+        : null,
+    );
+  });
+
+  // Delete one of our own messages, leaving a placeholder in its place
+  handle("deleteMessage", "chat", (config) =>
+    changeMessage(config, (original) =>
+      original.peer_id === socket.peerId && !original.deleted
+        ? { message: "", deleted: true, reactions: {} }
+        : null,
+    ),
+  );
+
+  // Toggle one of our reactions on a message
+  handle("reactMessage", "chat", (config) => {
+    const emoji = config.emoji;
+    if (!REACTIONS.includes(emoji)) {
+      throw new EventError(
+        "invalid_reaction",
+        "That reaction isn't available.",
+      );
+    }
 
+    return changeMessage(config, (original) => {
+      if (original.deleted) return null;
+
+      const reactions = { ...original.reactions };
+      const peers = reactions[emoji] || [];
+      reactions[emoji] = peers.includes(socket.peerId)
+        ? peers.filter((id) => id !== socket.peerId)
+        : [...peers, socket.peerId];
+      if (reactions[emoji].length === 0) {
+        delete reactions[emoji];
+      }
+      return { reactions: reactions };
+    });
+  });
+
+  // Apply a change to a stored message and send the new version to the
+  // room. Only messages still in memory can be changed.
+  async function changeMessage(config, change) {
     const channel = config.channel;
-    const userdata = config.userdata || {};
 
-    if (!channel) {
-      console.log(`[${socket.id}] ERROR: No channel specified`);
-      return;
+    requireMember(channel);
+
+    const updated = await chatHistory.update(channel, config.id, change);
+    if (!updated) {
+      throw new EventError(
+        "cannot_change",
+        "That message can't be changed: it isn't yours, was deleted, or is too old.",
+      );
+    }
+    cluster.publish({ type: "chat", channel: channel, message: updated });
+    if (!channels[channel]) return;
+
+    for (const peerId in channels[channel]) {
+      channels[channel][peerId].emit("chatMessageUpdate", updated);
+    }
+  }
+
+  // Send older chat messages for the "load older" button
+  handle("loadChatHistory", "history", async (config) => {
+    requireMember(config.channel);
+    if (!(await sendChatHistory(config.channel, config.before))) {
+      throw new EventError(
+        "history_unavailable",
+        "Could not load older messages, try again later.",
+      );
+    }
+  });
+
+  // Send a page of chat history for a channel. Resolves with false if it
+  // couldn't be read; the error is logged here.
+  async function sendChatHistory(channel, before) {
+    try {
+      const page = await chatHistory.getPage(
+        channel,
+        before,
+        CHAT_HISTORY_PAGE,
+      );
+      socket.emit("chatHistory", {
+        before: before === undefined ? null : before,
+        messages: page.messages,
+        hasMore: page.hasMore,
+      });
+      return true;
+    } catch (error) {
+      socket.log.error("Could not load chat history", {
+        channel: channel,
+        error: error,
+      });
+      return false;
     }
+  }
+
+  // Handle joining a channel
+  handle("join", "room", (config) => {
+    const channel = config.channel;
+    const userdata = config.userdata || {};
+    socket.log.info("Joining room", {
+      channel: channel,
+      username: userdata.username,
+    });
+    const identity = userdata.clientId || socket.peerId;
 
     if (channel in socket.channels) {
-      console.log(`[${socket.id}] ERROR: Already in channel ${channel}`);
-      return;
+      throw new EventError("already_joined", "You are already in that room.");
     }
 
-    // Create channel if it doesn't exist
+    // Create channel if it doesn't exist, the creator picks its settings
     if (!(channel in channels)) {
       channels[channel] = {};
+      channelState[channel] = {
+        mode: ROOM_MODES.includes(config.mode) ? config.mode : "auto",
+        relaying: false,
+        owner: socket.peerId,
+        bans: new Set(),
+        recording: new Set(),
+        createdAt: Date.now(),
+        joinedAt: {},
+        messageCount: 0,
+        ...createAccess(config),
+      };
+      if (isRestricted(channelState[channel])) {
+        chatHistory.keepInMemory(channel);
+      }
+    } else {
+      const rejection = channelState[channel].bans.has(identity)
+        ? { code: "banned", message: "You have been banned from this room." }
+        : checkAccess(channelState[channel], config);
+      if (rejection) {
+        socket.emit("joinError", { channel, ...rejection });
+        throw new EventError(rejection.code, rejection.message);
+      }
     }
 
+    // Confirm the join; members can hand out the invite link
+    socket.emit("joined", {
+      channel: channel,
+      inviteToken: channelState[channel].inviteToken,
+      locked: Boolean(channelState[channel].passwordHash),
+      owner: channelState[channel].owner,
+      recording: Array.from(channelState[channel].recording),
+    });
+
     // Store username
     if (userdata.username) {
-      usernames[socket.id] = userdata.username;
+      usernames[socket.peerId] = userdata.username;
     }
+    identities[socket.peerId] = identity;
 
-    // Notify existing peers about new peer and vice versa
-    for (const id in channels[channel]) {
-      // Tell existing peer about new peer
-      channels[channel][id].emit("addPeer", {
-        peer_id: socket.id,
-        username: usernames[socket.id] || socket.id.slice(0, 6),
-        should_create_offer: false,
-      });
+    // Pick mesh or relayed audio for the new room size before anyone
+    // is announced, so clients know whether to build peer connections
+    socket.relayCapable = config.relay !== false;
+    const state = channelState[channel];
+    const relaying = shouldRelay(
+      state,
+      Object.keys(channels[channel]).length + 1,
+      canRelay(channel, socket),
+    );
+    if (relaying !== state.relaying) {
+      setRelaying(channel, relaying);
+      // Someone who can't play relayed audio joined: back to a mesh
+      if (!relaying) {
+        rebuildMesh(channel);
+      }
+    }
+    socket.emit("roomMode", { mode: relaying ? "relay" : "mesh" });
 
-      // Tell new peer about existing peer
-      socket.emit("addPeer", {
-        peer_id: id,
-        username: usernames[id] || id.slice(0, 6),
-        should_create_offer: true,
-      });
+    // Notify existing peers about new peer and vice versa; the new peer
+    // offers. Members who are away get introduced when they resume.
+    for (const id in channels[channel]) {
+      if (!channels[channel][id].away) {
+        connectPeers(socket, channels[channel][id], true);
+      }
     }
 
     // Add socket to channel
-    channels[channel][socket.id] = socket;
+    channels[channel][socket.peerId] = socket;
     socket.channels[channel] = channel;
+    state.joinedAt[socket.peerId] = Date.now();
+    roomSizeMetric.observe({}, Object.keys(channels[channel]).length);
+    cluster.publish({
+      type: "join",
+      channel: channel,
+      state: describeRoomState(channel),
+      member: describeMember(socket, channel),
+    });
+    notifyAdmins();
 
     // Send current user list
     const userList = Object.keys(channels[channel]).map((id) => ({
@@ -152,91 +1557,264 @@ io.on("connection", (socket) => {
       username: usernames[id] || id.slice(0, 6),
     }));
     socket.emit("userList", userList);
+
+    // Backfill the most recent chat messages
+    sendChatHistory(channel);
   });
 
   // Handle leaving a channel
-  function part(channel) {
-    console.log(`[${socket.id}] Leaving channel: ${channel}`);
+  handle("part", "room", (channel) => {
+    requireMember(channel);
+    partChannel(socket, channel);
+  });
 
-    if (!(channel in socket.channels)) {
-      console.log(`[${socket.id}] ERROR: Not in channel ${channel}`);
-      return;
-    }
+  // Moderation: only the room owner may act on other members
+  function getModerationTarget(config) {
+    const channel = config.channel;
+    const peerId = config.peer_id;
 
-    delete socket.channels[channel];
-    delete channels[channel][socket.id];
+    requireMember(channel);
 
-    // Notify remaining peers
-    for (const id in channels[channel]) {
-      channels[channel][id].emit("removePeer", { peer_id: socket.id });
-      socket.emit("removePeer", { peer_id: id });
+    if (channelState[channel].owner !== socket.peerId) {
+      throw new EventError("not_owner", "Only the room owner can do that.");
+    }
+
+    if (peerId === socket.peerId || !(peerId in channels[channel])) {
+      throw new EventError("unknown_peer", "That person isn't in the room.");
     }
 
-    // Clean up empty channels
-    if (Object.keys(channels[channel]).length === 0) {
-      delete channels[channel];
+    return channels[channel][peerId];
+  }
+
+  // Signaling may only be sent to someone who shares a room with us
+  function getRelayTarget(peerId) {
+    for (const channel in socket.channels) {
+      if (peerId !== socket.peerId && peerId in channels[channel]) {
+        return channels[channel][peerId];
+      }
     }
+    throw new EventError(
+      "unknown_peer",
+      "That person isn't in any of your rooms.",
+    );
   }
-  socket.on("part", part);
+
+  // Remove a member from the room
+  handle("kickPeer", "moderation", (config) => {
+    const target = getModerationTarget(config);
+
+    socket.log.info("Kicking peer", {
+      channel: config.channel,
+      target: target.peerId,
+    });
+    removeFromRoom(target, config.channel, "kicked");
+  });
+
+  // Remove a member and keep their identity out for the life of the room
+  handle("banPeer", "moderation", (config) => {
+    const target = getModerationTarget(config);
+
+    socket.log.info("Banning peer", {
+      channel: config.channel,
+      target: target.peerId,
+    });
+    channelState[config.channel].bans.add(
+      identities[target.peerId] || target.peerId,
+    );
+    shareRoomState(config.channel);
+    removeFromRoom(target, config.channel, "banned");
+  });
+
+  // Ask a member to mute; their client broadcasts muteStatus as usual
+  handle("forceMute", "moderation", (config) => {
+    const target = getModerationTarget(config);
+
+    socket.log.info("Muting peer", {
+      channel: config.channel,
+      target: target.peerId,
+    });
+    target.emit("forceMute", {
+      channel: config.channel,
+      peer_id: socket.peerId,
+    });
+  });
+
+  // Hand the room over to another member
+  handle("transferOwnership", "moderation", (config) => {
+    const target = getModerationTarget(config);
+
+    setOwner(config.channel, target.peerId);
+  });
 
   // Relay ICE candidates between peers
-  socket.on("relayICECandidate", (config) => {
-    const peer_id = config.peer_id;
-    const ice_candidate = config.ice_candidate;
+  handle("relayICECandidate", "signaling", (config) => {
+    const target = getRelayTarget(config.peer_id);
 
-    if (peer_id in sockets) {
-      sockets[peer_id].emit("iceCandidate", {
-        peer_id: socket.id,
-        ice_candidate: ice_candidate,
-      });
-    }
+    socket.log.debug("Relaying ICE candidate", {
+      target: config.peer_id,
+      candidate: config.ice_candidate.candidate,
+    });
+    target.emit("iceCandidate", {
+      peer_id: socket.peerId,
+      ice_candidate: {
+        sdpMLineIndex: config.ice_candidate.sdpMLineIndex,
+        candidate: config.ice_candidate.candidate,
+      },
+    });
   });
 
   // Relay session descriptions between peers
-  socket.on("relaySessionDescription", (config) => {
+  handle("relaySessionDescription", "signaling", (config) => {
     const peer_id = config.peer_id;
     const session_description = config.session_description;
+    const target = getRelayTarget(peer_id);
 
-    console.log(
-      `[${socket.id}] Relaying ${session_description.type} to [${peer_id}]`,
-    );
+    socket.log.debug("Relaying session description", {
+      target: peer_id,
+      type: session_description.type,
+      length: session_description.sdp.length,
+    });
 
-    if (peer_id in sockets) {
-      sockets[peer_id].emit("sessionDescription", {
-        peer_id: socket.id,
-        session_description: session_description,
-      });
+    target.emit("sessionDescription", {
+      peer_id: socket.peerId,
+      session_description: {
+        type: session_description.type,
+        sdp: session_description.sdp,
+      },
+    });
+  });
+
+  // Fan relayed audio out to everyone else in the room. Volatile emits
+  // drop frames for slow receivers instead of queueing stale audio.
+  handle("relayAudio", "audio", (config) => {
+    const channel = config.channel;
+
+    requireMember(channel);
+    if (!channelState[channel].relaying) {
+      throw new EventError("not_relaying", "This room isn't relaying audio.");
+    }
+
+    for (const id in channels[channel]) {
+      if (id !== socket.peerId) {
+        channels[channel][id].volatile.emit("relayAudio", {
+          peer_id: socket.peerId,
+          timestamp: config.timestamp,
+          data: config.data,
+        });
+      }
     }
   });
 
   // Handle mute status broadcasts
-  socket.on("muteStatus", (config) => {
+  handle("muteStatus", "state", (config) => {
     const channel = config.channel;
     const isMuted = config.isMuted;
 
-    if (!channel || !channels[channel]) return;
+    requireMember(channel);
 
     for (const id in channels[channel]) {
-      if (id !== socket.id) {
+      if (id !== socket.peerId) {
         channels[channel][id].emit("peerMuteStatus", {
-          peer_id: socket.id,
+          peer_id: socket.peerId,
           isMuted: isMuted,
         });
       }
     }
   });
 
+  // Handle recording status, so everyone knows the call is being recorded.
+  // Tracked per room so people who join later see it too.
+  handle("recordingStatus", "state", (config) => {
+    const channel = config.channel;
+    const isRecording = config.isRecording;
+
+    requireMember(channel);
+
+    if (isRecording) {
+      channelState[channel].recording.add(socket.peerId);
+    } else {
+      channelState[channel].recording.delete(socket.peerId);
+    }
+    shareRoomState(channel);
+    notifyAdmins();
+    socket.log.info(isRecording ? "Started recording" : "Stopped recording", {
+      channel: channel,
+    });
+
+    for (const id in channels[channel]) {
+      if (id !== socket.peerId) {
+        channels[channel][id].emit("peerRecordingStatus", {
+          peer_id: socket.peerId,
+          isRecording: isRecording,
+        });
+      }
+    }
+  });
+
+  // Typing indicator for the chat sidebar
+  handle("typingStatus", "status", (config) => {
+    const channel = config.channel;
+    const isTyping = config.isTyping;
+
+    requireMember(channel);
+
+    for (const id in channels[channel]) {
+      if (id !== socket.peerId) {
+        channels[channel][id].emit("peerTypingStatus", {
+          peer_id: socket.peerId,
+          isTyping: isTyping,
+        });
+      }
+    }
+  });
+
+  // Read receipts: relayed as-is, not stored with the history
+  handle("messagesSeen", "status", (config) => {
+    const channel = config.channel;
+    const ids = config.ids;
+
+    requireMember(channel);
+    if (ids.length === 0) return;
+
+    for (const id in channels[channel]) {
+      if (id !== socket.peerId) {
+        channels[channel][id].emit("peerMessagesSeen", {
+          peer_id: socket.peerId,
+          ids: ids,
+        });
+      }
+    }
+  });
+
+  // Aggregated call quality from a client's stats, exported as metrics
+  handle("callQualityReport", "metrics", (config) => {
+    if (Object.keys(socket.channels).length === 0) {
+      throw new EventError("not_in_channel", "You are not in a room.");
+    }
+
+    const labels = { quality: config.quality };
+    if (config.loss !== null) {
+      callLossMetric.observe(labels, config.loss);
+    }
+    if (config.rtt !== null) {
+      callRttMetric.observe(labels, config.rtt / 1000);
+    }
+    if (config.bitrate !== null) {
+      callBitrateMetric.observe(labels, config.bitrate);
+    }
+  });
+
   // Handle speaking status for visual feedback
-  socket.on("speakingStatus", (config) => {
+  handle("speakingStatus", "status", (config) => {
     const channel = config.channel;
     const isSpeaking = config.isSpeaking;
 
-    if (!channel || !channels[channel]) return;
+    requireMember(channel);
 
     for (const id in channels[channel]) {
-      if (id !== socket.id) {
+      if (id !== socket.peerId) {
         channels[channel][id].emit("peerSpeakingStatus", {
-          peer_id: socket.id,
+          peer_id: socket.peerId,
           isSpeaking: isSpeaking,
         });
       }
@@ -246,9 +1824,10 @@ io.on("connection", (socket) => {
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
+  log.info("SIGTERM received, shutting down gracefully");
+  shuttingDown = true;
   server.close(() => {
-    console.log("Server closed");
+    log.info("Server closed");
     process.exit(0);
   });
 });
@@ -0,0 +1,194 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const { io } = require("socket.io-client");
+const { FakeBroker } = require("./fake-broker");
+const {
+  startServer,
+  stopServer,
+  connect,
+  request,
+  next,
+  waitFor,
+} = require("./helpers");
+
+const ADMIN_TOKEN = "test-admin";
+
+function startNode(broker) {
+  return startServer({
+    REDIS_URL: `redis://127.0.0.1:${broker.port}`,
+    CLUSTER_HEARTBEAT: "200",
+    ADMIN_TOKEN: ADMIN_TOKEN,
+  });
+}
+
+/**
+ * Resolve once the node's metrics show `count` nodes in touch
+ */
+function waitForNodes(node, count) {
+  return waitFor(async () => {
+    const metrics = await (await fetch(`${node.url}/metrics`)).text();
+    return metrics.includes(`voicechat_cluster_nodes ${count}`);
+  });
+}
+
+/**
+ * Follow a node's room list through its admin dashboard feed
+ */
+async function watchRooms(node) {
+  const admin = io(`${node.url}/admin`, {
+    transports: ["websocket"],
+    forceNew: true,
+    auth: { token: ADMIN_TOKEN },
+  });
+  await once(admin, "rooms");
+  return admin;
+}
+
+/**
+ * Resolve once a node's room list has the peer in the room, i.e. the
+ * node has heard about the join
+ */
+function untilMember(admin, channel, peerId) {
+  return next(admin, "rooms", (rooms) =>
+    rooms.some(
+      (room) =>
+        room.channel === channel &&
+        room.participants.some((member) => member.peer_id === peerId),
+    ),
+  );
+}
+
+describe("cluster", { timeout: 20000 }, () => {
+  let broker;
+  let nodeA;
+  let nodeB;
+  let adminB;
+  const clients = [];
+
+  const connectTo = async (node) => {
+    const socket = await connect(node);
+    clients.push(socket);
+    return socket;
+  };
+
+  // Alice joins on node A, then Bob on node B once B knows about her
+  const joinBoth = async (channel, alice, bob) => {
+    const known = untilMember(adminB, channel, alice.peerId);
+    assert.deepStrictEqual(
+      await request(alice, "join", {
+        channel,
+        userdata: { username: "alice" },
+      }),
+      { ok: true },
+    );
+    await known;
+
+    const introduced = next(alice, "addPeer");
+    assert.deepStrictEqual(
+      await request(bob, "join", { channel, userdata: { username: "bob" } }),
+      { ok: true },
+    );
+    return introduced;
+  };
+
+  before(async () => {
+    broker = new FakeBroker();
+    await broker.listen();
+    nodeA = await startNode(broker);
+    nodeB = await startNode(broker);
+    await Promise.all([waitForNodes(nodeA, 2), waitForNodes(nodeB, 2)]);
+    adminB = await watchRooms(nodeB);
+  });
+
+  after(async () => {
+    adminB.close();
+    clients.forEach((socket) => socket.close());
+    await Promise.all([stopServer(nodeA), stopServer(nodeB)]);
+    await broker.close();
+  });
+
+  test("joins a room across nodes and relays signaling", async () => {
+    const alice = await connectTo(nodeA);
+    const bob = await connectTo(nodeB);
+
+    const bobIntroduced = next(bob, "addPeer");
+    const peer = await joinBoth("lobby", alice, bob);
+    assert.strictEqual(peer.peer_id, bob.peerId);
+    assert.strictEqual(peer.username, "bob");
+    assert.strictEqual((await bobIntroduced).peer_id, alice.peerId);
+
+    const candidate = next(alice, "iceCandidate");
+    assert.deepStrictEqual(
+      await request(bob, "relayICECandidate", {
+        peer_id: alice.peerId,
+        ice_candidate: { candidate: "candidate:1", sdpMLineIndex: 0 },
+      }),
+      { ok: true },
+    );
+    assert.deepStrictEqual(await candidate, {
+      peer_id: bob.peerId,
+      ice_candidate: { sdpMLineIndex: 0, candidate: "candidate:1" },
+    });
+  });
+
+  test("gives chat messages unique ids across nodes", async () => {
+    const alice = await connectTo(nodeA);
+    const bob = await connectTo(nodeB);
+    await joinBoth("chat", alice, bob);
+
+    const received = [];
+    const done = new Promise((resolve) => {
+      alice.on("chatMessage", (message) => {
+        received.push(message);
+        if (received.length === 10) resolve();
+      });
+    });
+
+    // Sent at the same time from both nodes
+    const sends = [];
+    for (let index = 0; index < 5; index++) {
+      sends.push(
+        request(alice, "chatMessage", {
+          channel: "chat",
+          message: `a${index}`,
+        }),
+        request(bob, "chatMessage", { channel: "chat", message: `b${index}` }),
+      );
+    }
+    for (const response of await Promise.all(sends)) {
+      assert.deepStrictEqual(response, { ok: true });
+    }
+    await done;
+
+    const ids = received.map((message) => message.id);
+    assert.strictEqual(new Set(ids).size, 10);
+
+    // Both nodes hold the same history
+    const history = async (socket) => {
+      const page = next(socket, "chatHistory");
+      await request(socket, "loadChatHistory", {
+        channel: "chat",
+        before: Math.max(...ids) + 1,
+      });
+      return (await page).messages.map((message) => message.message);
+    };
+    assert.deepStrictEqual(await history(alice), await history(bob));
+  });
+
+  test("drops the peers of a node that stops", async () => {
+    const alice = await connectTo(nodeA);
+    const bob = await connectTo(nodeB);
+    await joinBoth("drop", alice, bob);
+
+    const removed = next(
+      alice,
+      "removePeer",
+      (data) => data.peer_id === bob.peerId,
+    );
+    await stopServer(nodeB);
+
+    assert.deepStrictEqual(await removed, { peer_id: bob.peerId, left: true });
+    await waitForNodes(nodeA, 1);
+  });
+});
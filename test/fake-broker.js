@@ -0,0 +1,155 @@
+const net = require("net");
+
+/**
+ * An in-process stand-in for a Redis-compatible broker, with only the
+ * commands the cluster adapter uses: AUTH, PING, SUBSCRIBE, PUBLISH, INCR
+ * and INCRBY.
+ *
+ *   const broker = new FakeBroker({ password: "secret" });
+ *   await broker.listen();
+ *   new RedisClient(`redis://:secret@127.0.0.1:${broker.port}`);
+ */
+class FakeBroker {
+  constructor(options = {}) {
+    this.password = options.password || null;
+    this.counters = new Map();
+    // Channel -> sockets subscribed to it
+    this.subscribers = new Map();
+    this.sockets = new Set();
+    // Every command received, for assertions
+    this.commands = [];
+    this.server = net.createServer((socket) => this.accept(socket));
+  }
+
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => {
+        this.port = this.server.address().port;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Drop every connection, as a broker restart would
+   */
+  disconnectAll() {
+    this.sockets.forEach((socket) => socket.destroy());
+  }
+
+  close() {
+    this.disconnectAll();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  accept(socket) {
+    const client = { socket, authenticated: !this.password, channels: [] };
+    let buffer = Buffer.alloc(0);
+
+    this.sockets.add(socket);
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.offset);
+        this.run(client, command.args);
+      }
+    });
+    socket.on("close", () => {
+      this.sockets.delete(socket);
+      for (const channel of client.channels) {
+        this.subscribers.get(channel).delete(socket);
+      }
+    });
+    socket.on("error", () => {});
+  }
+
+  run(client, args) {
+    const socket = client.socket;
+    const name = args[0].toUpperCase();
+    this.commands.push(args);
+
+    if (name === "AUTH") {
+      const password = args[args.length - 1];
+      client.authenticated = password === this.password;
+      socket.write(
+        client.authenticated ? "+OK\r\n" : "-WRONGPASS invalid password\r\n",
+      );
+      return;
+    }
+    if (!client.authenticated) {
+      socket.write("-NOAUTH Authentication required.\r\n");
+      return;
+    }
+
+    switch (name) {
+      case "PING":
+        socket.write("+PONG\r\n");
+        break;
+      case "SUBSCRIBE":
+        for (const channel of args.slice(1)) {
+          if (!this.subscribers.has(channel)) {
+            this.subscribers.set(channel, new Set());
+          }
+          this.subscribers.get(channel).add(socket);
+          client.channels.push(channel);
+          socket.write(
+            encodeReply(["subscribe", channel, client.channels.length]),
+          );
+        }
+        break;
+      case "PUBLISH": {
+        const receivers = this.subscribers.get(args[1]) || new Set();
+        for (const receiver of receivers) {
+          receiver.write(encodeReply(["message", args[1], args[2]]));
+        }
+        socket.write(encodeReply(receivers.size));
+        break;
+      }
+      case "INCR":
+      case "INCRBY": {
+        const by = name === "INCR" ? 1 : Number(args[2]);
+        const value = (this.counters.get(args[1]) || 0) + by;
+        this.counters.set(args[1], value);
+        socket.write(encodeReply(value));
+        break;
+      }
+      default:
+        socket.write(`-ERR unknown command '${args[0]}'\r\n`);
+    }
+  }
+}
+
+/**
+ * Parse one command (a RESP array of bulk strings) at the start of
+ * `buffer`, or return null if it isn't complete yet
+ */
+function parseCommand(buffer) {
+  let end = buffer.indexOf("\r\n");
+  if (end === -1) return null;
+
+  const count = Number(buffer.toString("utf8", 1, end));
+  const args = [];
+  let position = end + 2;
+  for (let index = 0; index < count; index++) {
+    end = buffer.indexOf("\r\n", position);
+    if (end === -1) return null;
+    const length = Number(buffer.toString("utf8", position + 1, end));
+    if (buffer.length < end + 2 + length + 2) return null;
+    args.push(buffer.toString("utf8", end + 2, end + 2 + length));
+    position = end + 2 + length + 2;
+  }
+  return { args, offset: position };
+}
+
+function encodeReply(value) {
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n` + value.map(encodeReply).join("");
+  }
+  if (typeof value === "number") {
+    return `:${value}\r\n`;
+  }
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+module.exports = { FakeBroker };
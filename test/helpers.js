@@ -0,0 +1,95 @@
+const path = require("path");
+const readline = require("readline");
+const { spawn } = require("child_process");
+const { once } = require("events");
+const { io } = require("socket.io-client");
+
+const SERVER = path.join(__dirname, "..", "server.js");
+
+/**
+ * Start the server in a child process on a free port. Resolves with
+ * `{ child, url }` once it listens.
+ */
+async function startServer(env = {}) {
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: "0", LOG_LEVEL: "info", ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  // Logs keep being read after this, so the child never blocks on a full pipe
+  const lines = readline.createInterface({ input: child.stdout });
+  const url = await new Promise((resolve, reject) => {
+    lines.on("line", (line) => {
+      const entry = JSON.parse(line);
+      if (entry.msg === "Voice & Text Chat Server listening") {
+        resolve(entry.url);
+      }
+    });
+    child.on("exit", () => reject(new Error("Server exited before listening")));
+  });
+  return { child, url };
+}
+
+async function stopServer(server) {
+  const { child } = server;
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  child.kill("SIGKILL");
+  await once(child, "exit");
+}
+
+/**
+ * Connect a client and resolve once it has its session. The peer id is
+ * kept on the socket as `peerId`.
+ */
+async function connect(server, options = {}) {
+  const socket = io(server.url, {
+    transports: ["websocket"],
+    forceNew: true,
+    ...options,
+  });
+  const [session] = await once(socket, "session");
+  socket.peerId = session.peer_id;
+  socket.session = session;
+  return socket;
+}
+
+/**
+ * Emit an event and resolve with its acknowledgement
+ */
+function request(socket, event, payload) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve));
+}
+
+/**
+ * Resolve with the next `event` whose data passes `filter`
+ */
+function next(socket, event, filter = () => true) {
+  return new Promise((resolve) => {
+    const listener = (data) => {
+      if (!filter(data)) return;
+      socket.off(event, listener);
+      resolve(data);
+    };
+    socket.on(event, listener);
+  });
+}
+
+/**
+ * Poll `check` until it resolves truthy, giving up after `attempts`
+ */
+async function waitFor(check, { attempts = 100, interval = 50 } = {}) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  throw new Error(`Gave up waiting after ${attempts} attempts`);
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  connect,
+  request,
+  next,
+  waitFor,
+};
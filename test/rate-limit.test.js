@@ -0,0 +1,55 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { RateLimiter } = require("../lib/rate-limit");
+
+describe("RateLimiter", () => {
+  test("allows a burst, then refuses", (t) => {
+    t.mock.method(Date, "now", () => 1000);
+    const limiter = new RateLimiter({ chat: { burst: 3, perSecond: 1 } });
+
+    assert.deepStrictEqual(
+      [1, 2, 3, 4].map(() => limiter.take("chat")),
+      [true, true, true, false],
+    );
+  });
+
+  test("refills at the configured rate", (t) => {
+    let now = 1000;
+    t.mock.method(Date, "now", () => now);
+    const limiter = new RateLimiter({ chat: { burst: 2, perSecond: 2 } });
+
+    limiter.take("chat");
+    limiter.take("chat");
+    assert.strictEqual(limiter.take("chat"), false);
+
+    // Half a second brings back one token, not two
+    now += 500;
+    assert.strictEqual(limiter.take("chat"), true);
+    assert.strictEqual(limiter.take("chat"), false);
+
+    // Never more than the burst, however long it was quiet
+    now += 60000;
+    assert.deepStrictEqual(
+      [1, 2, 3].map(() => limiter.take("chat")),
+      [true, true, false],
+    );
+  });
+
+  test("keeps a bucket per group", (t) => {
+    t.mock.method(Date, "now", () => 1000);
+    const limiter = new RateLimiter({
+      chat: { burst: 1, perSecond: 1 },
+      status: { burst: 1, perSecond: 1 },
+    });
+
+    assert.strictEqual(limiter.take("chat"), true);
+    assert.strictEqual(limiter.take("chat"), false);
+    assert.strictEqual(limiter.take("status"), true);
+  });
+
+  test("doesn't limit groups without a limit", () => {
+    const limiter = new RateLimiter({});
+
+    assert.strictEqual(limiter.take("anything"), true);
+  });
+});
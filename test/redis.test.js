@@ -0,0 +1,107 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const { RedisClient } = require("../lib/redis");
+const { FakeBroker } = require("./fake-broker");
+
+describe("RedisClient", () => {
+  let broker;
+  const clients = [];
+
+  const connect = (password = "secret") => {
+    const client = new RedisClient(
+      `redis://:${password}@127.0.0.1:${broker.port}`,
+    );
+    client.on("error", () => {});
+    clients.push(client);
+    return client;
+  };
+
+  before(async () => {
+    broker = new FakeBroker({ password: "secret" });
+    await broker.listen();
+  });
+
+  after(async () => {
+    clients.forEach((client) => client.close());
+    await broker.close();
+  });
+
+  test("authenticates and answers commands", async () => {
+    const client = connect();
+
+    assert.strictEqual(await client.command(["PING"]), "PONG");
+    assert.strictEqual(await client.command(["INCR", "counter"]), 1);
+    assert.strictEqual(await client.command(["INCRBY", "counter", 4]), 5);
+  });
+
+  test("rejects with the error the server answered", async () => {
+    const client = connect();
+
+    await assert.rejects(client.command(["FLUSHALL"]), /unknown command/);
+  });
+
+  test("reports a wrong password", async () => {
+    const client = connect("wrong");
+    const [error] = await once(client, "error");
+
+    assert.match(error.message, /WRONGPASS/);
+    await assert.rejects(client.command(["PING"]), /NOAUTH/);
+  });
+
+  test("delivers pub/sub messages", async () => {
+    const subscriber = connect();
+    const publisher = connect();
+
+    subscriber.subscribe("news");
+    await once(subscriber, "subscribe");
+    const received = once(subscriber, "message");
+    assert.strictEqual(
+      await publisher.command(["PUBLISH", "news", "héllo"]),
+      1,
+    );
+
+    assert.deepStrictEqual(await received, ["news", "héllo"]);
+  });
+
+  test("reconnects, subscribes again and sends what was queued", async () => {
+    const subscriber = connect();
+    const publisher = connect();
+
+    subscriber.subscribe("updates");
+    await once(subscriber, "subscribe");
+    const closed = new Promise((resolve) =>
+      publisher.socket.on("close", resolve),
+    );
+    broker.disconnectAll();
+    await closed;
+
+    // Queued until the connection is back
+    const count = publisher.command(["INCR", "after-restart"]);
+    await once(subscriber, "subscribe");
+    assert.strictEqual(await count, 1);
+
+    const received = once(subscriber, "message");
+    await publisher.command(["PUBLISH", "updates", "back"]);
+    assert.deepStrictEqual(await received, ["updates", "back"]);
+  });
+
+  test("fails commands the server doesn't answer in time", async () => {
+    // Nothing listens there, so the command waits in the queue
+    const unreachable = new RedisClient("redis://127.0.0.1:1", {
+      timeout: 100,
+    });
+    unreachable.on("error", () => {});
+    clients.push(unreachable);
+
+    await assert.rejects(unreachable.command(["PING"]), /timed out/);
+    assert.strictEqual(unreachable.queue.length, 0);
+  });
+
+  test("fails commands once closed", async () => {
+    const client = connect();
+    client.close();
+
+    await assert.rejects(client.command(["PING"]), /Connection closed/);
+  });
+});
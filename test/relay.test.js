@@ -0,0 +1,71 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const {
+  startServer,
+  stopServer,
+  connect,
+  request,
+  next,
+} = require("./helpers");
+
+describe("automatic relay", { timeout: 10000 }, () => {
+  let server;
+  const clients = [];
+
+  const join = async (channel, relay, options) => {
+    const socket = await connect(server, options);
+    clients.push(socket);
+    const mode = next(socket, "roomMode");
+    assert.deepStrictEqual(
+      await request(socket, "join", { channel, relay, userdata: {} }),
+      { ok: true },
+    );
+    socket.mode = (await mode).mode;
+    return socket;
+  };
+
+  before(async () => {
+    server = await startServer({ RELAY_THRESHOLD: "2" });
+  });
+
+  after(async () => {
+    clients.forEach((socket) => socket.close());
+    await stopServer(server);
+  });
+
+  test("switches on above the threshold", async () => {
+    await join("big", true);
+    await join("big", true);
+    const third = await join("big", true);
+
+    assert.strictEqual(third.mode, "relay");
+  });
+
+  test("stays on a mesh for a client without WebCodecs", async () => {
+    await join("mixed", true);
+    await join("mixed", false);
+    const third = await join("mixed", true);
+
+    assert.strictEqual(third.mode, "mesh");
+  });
+
+  test("remembers a resumed client without WebCodecs", async () => {
+    await join("resumed", true);
+    const legacy = await join("resumed", false);
+
+    // Drop the connection without leaving, then come back on the session
+    const dropped = once(legacy, "disconnect");
+    legacy.io.engine.close();
+    await dropped;
+    legacy.close();
+    const back = await connect(server, {
+      auth: { sessionToken: legacy.session.token },
+    });
+    clients.push(back);
+    assert.strictEqual(back.session.resumed, true);
+
+    const third = await join("resumed", true);
+    assert.strictEqual(third.mode, "mesh");
+  });
+});
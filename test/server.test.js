@@ -0,0 +1,103 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const {
+  startServer,
+  stopServer,
+  connect,
+  request,
+  next,
+} = require("./helpers");
+
+describe("event checks", () => {
+  let server;
+  const clients = [];
+
+  const join = async (channel) => {
+    const socket = await connect(server);
+    clients.push(socket);
+    assert.deepStrictEqual(
+      await request(socket, "join", { channel: channel, userdata: {} }),
+      { ok: true },
+    );
+    return socket;
+  };
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    clients.forEach((socket) => socket.close());
+    await stopServer(server);
+  });
+
+  test("answers an invalid payload with an error", async () => {
+    const alice = await join("payloads");
+
+    const response = await request(alice, "chatMessage", {
+      channel: "payloads",
+      message: 42,
+    });
+    assert.strictEqual(response.ok, false);
+    assert.strictEqual(response.code, "invalid_payload");
+  });
+
+  test("refuses a prototype key as a channel name", async () => {
+    const socket = await connect(server);
+    clients.push(socket);
+
+    const response = await request(socket, "join", {
+      channel: "__proto__",
+      userdata: {},
+    });
+    assert.strictEqual(response.code, "invalid_payload");
+  });
+
+  test("only relays to peers in one of the sender's rooms", async () => {
+    const alice = await join("first");
+    const bob = await join("second");
+    const carol = await join("second");
+
+    const candidate = next(bob, "iceCandidate");
+    const refused = await request(alice, "relayICECandidate", {
+      peer_id: bob.peerId,
+      ice_candidate: { candidate: "from alice", sdpMLineIndex: 0 },
+    });
+    assert.strictEqual(refused.code, "unknown_peer");
+
+    // Bob's first candidate is Carol's: Alice's never reached him
+    await request(carol, "relayICECandidate", {
+      peer_id: bob.peerId,
+      ice_candidate: { candidate: "from carol", sdpMLineIndex: 0 },
+    });
+    assert.strictEqual((await candidate).peer_id, carol.peerId);
+  });
+
+  test("rate limits each kind of event", async () => {
+    const alice = await join("limits");
+
+    const responses = [];
+    for (let index = 0; index < 6; index++) {
+      responses.push(
+        await request(alice, "loadChatHistory", {
+          channel: "limits",
+          before: 1,
+        }),
+      );
+    }
+    assert.deepStrictEqual(
+      responses.map((response) => response.ok),
+      [true, true, true, true, true, false],
+    );
+    assert.strictEqual(responses[5].code, "rate_limited");
+
+    // Other kinds of events still go through
+    assert.deepStrictEqual(
+      await request(alice, "typingStatus", {
+        channel: "limits",
+        isTyping: true,
+      }),
+      { ok: true },
+    );
+  });
+});
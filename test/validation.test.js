@@ -0,0 +1,48 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { LIMITS, validate } = require("../lib/validation");
+
+describe("validate", () => {
+  test("accepts a well-formed payload", () => {
+    assert.strictEqual(
+      validate("chatMessage", { channel: "lobby", message: "hello" }),
+      null,
+    );
+  });
+
+  test("refuses a message that isn't a string", () => {
+    assert.strictEqual(
+      validate("chatMessage", { channel: "lobby", message: { text: "hi" } }),
+      "chatMessage payload: message must be a string",
+    );
+  });
+
+  test("refuses an oversized session description", () => {
+    const payload = (sdp) => ({
+      peer_id: "peer-1",
+      session_description: { type: "offer", sdp: sdp },
+    });
+
+    assert.strictEqual(
+      validate("relaySessionDescription", payload("v=0")),
+      null,
+    );
+    assert.strictEqual(
+      validate("relaySessionDescription", payload("a".repeat(LIMITS.sdp + 1))),
+      `relaySessionDescription payload: session_description sdp must be at most ${LIMITS.sdp} characters`,
+    );
+  });
+
+  test("refuses names that exist on every object as channels", () => {
+    for (const channel of ["__proto__", "constructor", "toString"]) {
+      assert.strictEqual(
+        validate("join", { channel: channel }),
+        "join payload: channel is reserved",
+      );
+    }
+  });
+
+  test("refuses unknown events", () => {
+    assert.strictEqual(validate("dropTables", {}), "unknown event");
+  });
+});